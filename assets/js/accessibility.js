@@ -299,18 +299,12 @@ class AccessibilityManager {
     prefersReducedMotion.addEventListener('change', handleReducedMotion);
   }
   
-  // Color scheme detection
+  // Color scheme detection. Light/dark is applied before first paint by
+  // layouts/partials/head/color-scheme.html; only high contrast is left here.
   setupColorSchemeDetection() {
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
     const prefersHighContrast = window.matchMedia('(prefers-contrast: high)');
     
-    const handleColorScheme = () => {
-      if (prefersDark.matches) {
-        document.body.classList.add('dark-mode');
-      } else {
-        document.body.classList.remove('dark-mode');
-      }
-      
+    const handleContrast = () => {
       if (prefersHighContrast.matches) {
         document.body.classList.add('high-contrast');
       } else {
@@ -318,9 +312,8 @@ class AccessibilityManager {
       }
     };
     
-    handleColorScheme();
-    prefersDark.addEventListener('change', handleColorScheme);
-    prefersHighContrast.addEventListener('change', handleColorScheme);
+    handleContrast();
+    prefersHighContrast.addEventListener('change', handleContrast);
   }
   
   // Touch target enhancement
@@ -0,0 +1,9 @@
+// Embeds
+// Click-to-load facades in place of YouTube, Vimeo, Twitter, Instagram and
+// Gist embeds. Bundled on its own by layouts/partials/helpers/theme-assets.html
+// and loaded, deferred, by layouts/partials/content/embed-facade.html on the
+// pages that have embeds.
+
+import { EmbedFacades } from './modules/embedFacades.js';
+
+new EmbedFacades().init();
@@ -3,6 +3,17 @@
 
 import { PerformanceOptimizer, performanceUtils } from './modules/performance.js';
 import { AssetManager, assetUtils } from './modules/assetManager.js';
+import { SearchClient, isAbortError } from './modules/searchClient.js';
+import SearchFacets from './modules/searchFacets.js';
+import { CommandPalette } from './modules/commandPalette.js';
+import { SearchAnalytics } from './modules/searchAnalytics.js';
+import { OfflineArticles } from './modules/offlineArticles.js';
+import { FormSubmitter } from './modules/formSubmissions.js';
+import { TableOfContents } from './modules/tableOfContents.js';
+import { SectionLinks } from './modules/sectionLinks.js';
+import { QuoteSharing } from './modules/quoteSharing.js';
+import { CodeBlocks } from './modules/codeBlocks.js';
+import { EventTracking } from './modules/eventTracking.js';
 
 (function() {
   'use strict';
@@ -34,9 +45,6 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     // Enhanced keyboard navigation
     setupKeyboardNavigation();
     
-    // Mobile menu accessibility
-    setupMobileMenuAccessibility();
-    
     // Search accessibility
     setupSearchAccessibility();
     
@@ -47,24 +55,9 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     announcePageLoad();
   }
   
+  // Escape is handled by each widget (mobile menu, command palette, reading
+  // preferences), which knows how to close itself
   function setupKeyboardNavigation() {
-    // Handle escape key globally
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        // Close mobile menu
-        const mobileMenu = document.querySelector('[data-mobile-menu]');
-        if (mobileMenu && !mobileMenu.classList.contains('translate-x-full')) {
-          closeMobileMenu();
-        }
-        
-        // Close any open dropdowns or modals
-        const openDropdowns = document.querySelectorAll('[aria-expanded="true"]');
-        openDropdowns.forEach(dropdown => {
-          dropdown.setAttribute('aria-expanded', 'false');
-        });
-      }
-    });
-    
     // Enhanced tab navigation for card components
     const articleCards = document.querySelectorAll('article[role="article"]');
     articleCards.forEach(card => {
@@ -80,62 +73,6 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     });
   }
   
-  function setupMobileMenuAccessibility() {
-    const menuButton = document.querySelector('[data-mobile-menu-button]');
-    const mobileMenu = document.querySelector('[data-mobile-menu]');
-    const menuOverlay = document.querySelector('[data-mobile-menu-overlay]');
-    const closeButton = document.querySelector('[data-mobile-menu-close]');
-    
-    if (!menuButton || !mobileMenu) return;
-    
-    // Store the element that opened the menu for focus restoration
-    let menuTrigger = null;
-    
-    function openMobileMenu() {
-      menuTrigger = document.activeElement;
-      mobileMenu.classList.remove('translate-x-full');
-      mobileMenu.setAttribute('aria-hidden', 'false');
-      menuButton.setAttribute('aria-expanded', 'true');
-      document.body.classList.add('focus-trap-active');
-      
-      // Focus the close button
-      setTimeout(() => {
-        closeButton?.focus();
-      }, 300);
-      
-      // Announce to screen readers
-      if (window.announceToScreenReader) {
-        window.announceToScreenReader('Menu opened', 'assertive');
-      }
-    }
-    
-    function closeMobileMenu() {
-      mobileMenu.classList.add('translate-x-full');
-      mobileMenu.setAttribute('aria-hidden', 'true');
-      menuButton.setAttribute('aria-expanded', 'false');
-      document.body.classList.remove('focus-trap-active');
-      
-      // Restore focus to trigger
-      if (menuTrigger) {
-        menuTrigger.focus();
-        menuTrigger = null;
-      }
-      
-      // Announce to screen readers
-      if (window.announceToScreenReader) {
-        window.announceToScreenReader('Menu closed', 'assertive');
-      }
-    }
-    
-    // Event listeners
-    menuButton.addEventListener('click', openMobileMenu);
-    closeButton?.addEventListener('click', closeMobileMenu);
-    menuOverlay?.addEventListener('click', closeMobileMenu);
-    
-    // Make closeMobileMenu available globally
-    window.closeMobileMenu = closeMobileMenu;
-  }
-  
   function setupSearchAccessibility() {
     const searchInput = document.getElementById('search-input');
     if (!searchInput) return;
@@ -406,21 +343,84 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     }
   }
 
-  // Initialize everything when DOM is ready
+  // The "Disable animations" reader preference, or the system setting
+  function isReducedMotion() {
+    return window.ThemeReaderPreferences
+      ? window.ThemeReaderPreferences.reducedMotion()
+      : window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  // Initialize everything when DOM is ready. Each init runs once: most of
+  // them add listeners, and a second run would double them.
   ready(() => {
     initializeModules();
     initializeLanguageSupport();
     optimizeFontLoading();
     initializeLanguageSwitching();
     initMobileMenu();
+    initReaderPreferences();
     initSmoothScrolling();
-    initSearch();
+    initLazyLoading();
+    initQuoteSharing();
+    initTableOfContents();
+    initSectionLinks();
+    initCodeBlocks();
+    initEventTracking();
     initTouchInteractions();
     initResponsiveImages();
     initViewportHandling();
     initPerformanceOptimizations();
+    initResponsiveClasses();
+    
+    // Animation and visual effects
     initScrollAnimations();
+    initCardEffects();
+    initParallaxEffects();
+    initTextRevealAnimations();
+    initInteractiveElements();
+    initLoadingAnimations();
+    initMicroInteractions();
+    initPerformanceMonitoring();
+    
+    // The search index is fetched on the first search, not on page load
+    initSearch();
+    
+    // Ctrl/Cmd+K quick-open (only rendered when params.search.commandPalette is on)
+    new CommandPalette({ searchClient, minQueryLength, analytics: searchAnalytics });
+    
+    initFooterFeatures();
+    initFormSubmissions();
+    initSaveForOffline();
+    
+    // Page-specific initializations (the search page restores its query and
+    // filters from the URL itself)
+    if (document.getElementById('search-input')) {
+      initializeSearch();
+    }
   });
+  
+  // Loaded class for CSS animations, and mobile/tablet/desktop classes by
+  // screen size
+  function initResponsiveClasses() {
+    document.body.classList.add('loaded');
+    
+    // Add responsive classes based on screen size
+    function updateResponsiveClasses() {
+      const width = window.innerWidth;
+      document.body.classList.remove('mobile', 'tablet', 'desktop');
+      
+      if (width < 768) {
+        document.body.classList.add('mobile');
+      } else if (width < 1024) {
+        document.body.classList.add('tablet');
+      } else {
+        document.body.classList.add('desktop');
+      }
+    }
+    
+    updateResponsiveClasses();
+    window.addEventListener('resize', updateResponsiveClasses);
+  }
 
   // Enhanced mobile menu functionality with slide-out animation
   function initMobileMenu() {
@@ -578,6 +578,21 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     });
   }
 
+  // Height of the sticky header that covers the top of the page
+  function headerOffset() {
+    return document.querySelector('header')?.offsetHeight || 0;
+  }
+
+  // Scrolls an element into view just below the sticky header
+  function scrollToTarget(target) {
+    const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerOffset() - 20;
+    
+    window.scrollTo({
+      top: targetPosition,
+      behavior: isReducedMotion() ? 'auto' : 'smooth'
+    });
+  }
+
   // Smooth scrolling for anchor links
   function initSmoothScrolling() {
     const links = document.querySelectorAll('a[href^="#"]');
@@ -588,40 +603,70 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
         
         if (href === '#') return;
         
-        const target = document.querySelector(href);
+        const target = document.getElementById(decodeURIComponent(href.slice(1)));
         
         if (target) {
           e.preventDefault();
-          
-          const headerHeight = document.querySelector('header')?.offsetHeight || 0;
-          const targetPosition = target.offsetTop - headerHeight - 20;
-          
-          window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
-          });
+          scrollToTarget(target);
         }
       });
     });
   }
 
+  // Table of contents on articles; its links scroll with initSmoothScrolling()
+  function initTableOfContents() {
+    new TableOfContents({ getOffset: headerOffset }).init();
+  }
+
+  // Sharing selected text; runs before the table of contents, which
+  // rewrites the URL hash that may hold the quote
+  function initQuoteSharing() {
+    new QuoteSharing({
+      copy: url => window.copyToClipboard(url),
+      scrollTo: scrollToTarget
+    }).init();
+  }
+
+  // Link buttons on article headings and sharing a single section
+  function initSectionLinks() {
+    new SectionLinks({ copy: url => window.copyToClipboard(url) }).init();
+  }
+
+  // Copy buttons and language tabs on fenced code blocks
+  function initCodeBlocks() {
+    new CodeBlocks({ write: writeToClipboard }).init();
+  }
+
+  // Outbound links, downloads, scroll depth, read completion and
+  // data-track-* events, sent through window.ThemeAnalytics
+  function initEventTracking() {
+    new EventTracking().init();
+  }
+
   // Copy to clipboard functionality
   window.copyToClipboard = function(text) {
+    return writeToClipboard(text).then((copied) => {
+      showNotification(copied ? 'Link copied to clipboard!' : 'Failed to copy link', copied ? 'success' : 'error');
+      return copied;
+    });
+  };
+
+  // Puts text on the clipboard without telling the reader; resolves to
+  // whether it worked
+  function writeToClipboard(text) {
     if (navigator.clipboard && window.isSecureContext) {
-      navigator.clipboard.writeText(text).then(() => {
-        showNotification('Link copied to clipboard!');
-      }).catch(err => {
+      return navigator.clipboard.writeText(text).then(() => true).catch(err => {
         console.error('Failed to copy: ', err);
-        fallbackCopyTextToClipboard(text);
+        return fallbackCopyTextToClipboard(text);
       });
-    } else {
-      fallbackCopyTextToClipboard(text);
     }
-  };
+    return Promise.resolve(fallbackCopyTextToClipboard(text));
+  }
 
   // Fallback copy function for older browsers
   function fallbackCopyTextToClipboard(text) {
     const textArea = document.createElement('textarea');
+    const focused = document.activeElement;
     textArea.value = text;
     textArea.style.top = '0';
     textArea.style.left = '0';
@@ -632,19 +677,17 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     textArea.focus();
     textArea.select();
     
+    let successful = false;
     try {
-      const successful = document.execCommand('copy');
-      if (successful) {
-        showNotification('Link copied to clipboard!');
-      } else {
-        showNotification('Failed to copy link');
-      }
+      successful = document.execCommand('copy');
     } catch (err) {
       console.error('Fallback: Oops, unable to copy', err);
-      showNotification('Failed to copy link');
     }
     
     document.body.removeChild(textArea);
+    // Back to the button that asked for the copy
+    if (focused && focused.focus) focused.focus();
+    return successful;
   }
 
   // Show notification
@@ -655,7 +698,7 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
 
     const notification = document.createElement('div');
     notification.className = `notification fixed top-4 right-4 px-4 py-2 rounded-md text-white z-50 transition-all duration-300 ${
-      type === 'success' ? 'bg-green-500' : 'bg-red-500'
+      type === 'success' ? 'bg-green-500' : type === 'info' ? 'bg-blue-500' : 'bg-red-500'
     }`;
     notification.textContent = message;
     
@@ -699,21 +742,22 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
   }
 
   // Enhanced search functionality
-  let searchIndex = null;
+  const searchConfig = (window.ThemeSearch && window.ThemeSearch.config && window.ThemeSearch.config.localSearch) || {};
+  // Fetching, scoring and highlighting run in a worker (see searchWorker.js)
+  const searchClient = new SearchClient({
+    workerURL: searchConfig.workerURL,
+    indexURL: searchConfig.indexURL,
+    fallbackURL: searchConfig.fallbackURL,
+    matching: searchConfig.matching
+  });
+  const minQueryLength = searchConfig.minQueryLength || 2;
+  // Opt-in query logging (params.search.analytics)
+  const searchAnalytics = new SearchAnalytics((window.ThemeSearch && window.ThemeSearch.config && window.ThemeSearch.config.analytics) || {});
   let searchTimeout = null;
 
-  // Load search index
+  // Load search index manifest and document store
   function loadSearchIndex() {
-    return fetch('/index.json')
-      .then(response => response.json())
-      .then(data => {
-        searchIndex = data;
-        return data;
-      })
-      .catch(err => {
-        console.error('Failed to load search index:', err);
-        return [];
-      });
+    return searchClient.load().catch(() => null);
   }
 
   // Initialize search functionality
@@ -723,12 +767,15 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     
     if (!searchInput) return;
 
+    // Start fetching the index as soon as the reader heads for the box
+    searchInput.addEventListener('focus', loadSearchIndex, { once: true });
+
     searchInput.addEventListener('input', function() {
       const query = this.value.trim();
       
       clearTimeout(searchTimeout);
       
-      if (query.length < 2) {
+      if (query.length < minQueryLength) {
         if (searchResults) {
           searchResults.innerHTML = '';
           searchResults.classList.add('hidden');
@@ -743,15 +790,23 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
 
     // Quick search for suggestions dropdown
     function performQuickSearch(query) {
-      if (!searchIndex || !searchResults) return;
+      if (!searchResults) return;
+
+      searchInIndex(query, 5, 'quick').then(results => {
+        // Ignore responses for queries the user has already typed past
+        if (!results || searchInput.value.trim() !== query) return;
 
-      const results = searchInIndex(query, 5);
+        renderQuickResults(results, query);
+        searchAnalytics.recordSearch(query, results.length, 'quick');
+      });
+    }
 
+    function renderQuickResults(results, query) {
       if (results.length > 0) {
         searchResults.innerHTML = results.map(result => `
           <a href="${result.permalink}" class="block p-3 hover:bg-muted rounded-md transition-colors">
-            <h4 class="font-medium text-foreground">${highlightText(result.title, query)}</h4>
-            <p class="text-sm text-muted-foreground mt-1">${highlightText(result.summary || '', query)}</p>
+            <h4 class="font-medium text-foreground">${result.highlights.title}</h4>
+            <p class="text-sm text-muted-foreground mt-1">${result.highlights.summary}</p>
           </a>
         `).join('');
         searchResults.classList.remove('hidden');
@@ -761,6 +816,15 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
       }
     }
 
+    if (searchResults) {
+      searchResults.addEventListener('click', function(e) {
+        const link = e.target.closest('a');
+        if (!link) return;
+        const links = Array.from(searchResults.querySelectorAll('a'));
+        searchAnalytics.recordClick(searchInput.value, links.indexOf(link) + 1, link.getAttribute('href'), 'quick');
+      });
+    }
+
     // Close search results when clicking outside
     document.addEventListener('click', function(e) {
       if (!searchInput.contains(e.target) && !searchResults?.contains(e.target)) {
@@ -773,13 +837,9 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
 
   // Initialize full search page functionality
   function initializeSearch() {
-    if (!searchIndex) {
-      loadSearchIndex().then(() => {
-        setupSearchPage();
-      });
-    } else {
+    loadSearchIndex().then(() => {
       setupSearchPage();
-    }
+    });
   }
 
   // Setup search page functionality
@@ -791,15 +851,29 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     const searchLoading = document.getElementById('search-loading');
     const resultsContainer = document.getElementById('results-container');
     const searchStats = document.getElementById('search-stats');
+    const facetsPanel = document.getElementById('search-facets');
+    const sortSelect = document.getElementById('search-sort');
+    const readMinInput = document.getElementById('search-read-min');
+    const readMaxInput = document.getElementById('search-read-max');
+    const clearFiltersButton = document.getElementById('search-clear-filters');
+    const noFilteredResults = document.getElementById('search-no-filtered-results');
 
-    if (!searchInput) return;
+    if (!searchInput || searchInput.dataset.searchReady) return;
+    searchInput.dataset.searchReady = 'true';
+
+    // Query, facet selections and sort order all live in the URL
+    let state = SearchFacets.parseState(window.location.search);
+    let allResults = [];
+    let resultsQuery = '';
 
     searchInput.addEventListener('input', function() {
       const query = this.value.trim();
+      state.q = query;
+      updateURL(false);
       
       clearTimeout(searchTimeout);
       
-      if (query.length < 2) {
+      if (query.length < minQueryLength) {
         showInitialState();
         return;
       }
@@ -811,6 +885,107 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
       }, 300);
     });
 
+    if (facetsPanel) {
+      facetsPanel.addEventListener('click', function(e) {
+        const chip = e.target.closest('[data-facet]');
+        if (!chip) return;
+
+        const { facet, value } = chip.dataset;
+        const selected = state[facet];
+        state[facet] = selected.includes(value)
+          ? selected.filter(item => item !== value)
+          : selected.concat(value);
+        updateURL(true);
+        renderResults();
+      });
+    }
+
+    if (sortSelect) {
+      sortSelect.addEventListener('change', function() {
+        state.sort = this.value;
+        updateURL(true);
+        renderResults();
+      });
+    }
+
+    [readMinInput, readMaxInput].forEach(input => {
+      if (!input) return;
+      input.addEventListener('change', function() {
+        state.readMin = readTimeValue(readMinInput);
+        state.readMax = readTimeValue(readMaxInput);
+        updateURL(true);
+        renderResults();
+      });
+    });
+
+    if (resultsContainer) {
+      resultsContainer.addEventListener('click', function(e) {
+        const link = e.target.closest('a');
+        if (!link) return;
+        const cards = Array.from(resultsContainer.querySelectorAll('article'));
+        searchAnalytics.recordClick(resultsQuery, cards.indexOf(link.closest('article')) + 1, link.getAttribute('href'), 'page');
+      });
+    }
+
+    if (clearFiltersButton) {
+      clearFiltersButton.addEventListener('click', function() {
+        state = SearchFacets.createState({ q: state.q, sort: state.sort });
+        updateURL(true);
+        syncControls();
+        renderResults();
+      });
+    }
+
+    // Back/forward restores an earlier query or filter selection
+    window.addEventListener('popstate', function() {
+      state = SearchFacets.parseState(window.location.search);
+      syncControls();
+      runSearch();
+    });
+
+    function readTimeValue(input) {
+      if (!input || input.value === '') return null;
+      const minutes = parseInt(input.value, 10);
+      return Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+    }
+
+    // Typing replaces the current history entry, filter changes push a new one
+    function updateURL(push) {
+      const queryString = SearchFacets.serializeState(state);
+      const url = window.location.pathname + (queryString ? `?${queryString}` : '') + window.location.hash;
+      if (url === window.location.pathname + window.location.search + window.location.hash) return;
+
+      if (push) {
+        window.history.pushState(null, '', url);
+      } else {
+        window.history.replaceState(null, '', url);
+      }
+    }
+
+    function syncControls() {
+      searchInput.value = state.q;
+      if (sortSelect) sortSelect.value = state.sort;
+      if (readMinInput) readMinInput.value = state.readMin === null ? '' : state.readMin;
+      if (readMaxInput) readMaxInput.value = state.readMax === null ? '' : state.readMax;
+    }
+
+    function runSearch() {
+      clearTimeout(searchTimeout);
+
+      if (state.q.length < minQueryLength) {
+        showInitialState();
+        return;
+      }
+
+      if (state.q === resultsQuery) {
+        renderResults();
+        return;
+      }
+
+      showLoadingState();
+      performFullSearch(state.q);
+    }
+
     function showInitialState() {
       if (searchResults) searchResults.classList.add('hidden');
       if (noResults) noResults.classList.add('hidden');
@@ -825,13 +1000,44 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
       if (searchLoading) searchLoading.classList.remove('hidden');
     }
 
+    function renderFacets() {
+      const counts = SearchFacets.countFacets(allResults, state);
+
+      SearchFacets.FACETS.forEach(facet => {
+        const group = document.querySelector(`[data-facet-group="${facet}"]`);
+        const list = document.querySelector(`[data-facet-list="${facet}"]`);
+        if (!group || !list) return;
+
+        list.innerHTML = counts[facet].map(({ value, count, selected }) => `
+          <button type="button"
+                  class="inline-flex items-center gap-1 rounded-full border px-3 py-1 text-sm transition-colors ${selected ? 'border-primary bg-primary text-primary-foreground' : 'border-border hover:bg-muted'}"
+                  data-facet="${facet}" data-value="${escapeAttribute(value)}" aria-pressed="${selected}">
+            ${escapeHtml(value)}
+            <span class="${selected ? '' : 'text-muted-foreground'}">(${count})</span>
+          </button>
+        `).join('');
+        group.classList.toggle('hidden', counts[facet].length === 0);
+      });
+
+      const bounds = SearchFacets.readTimeBounds(allResults);
+      [readMinInput, readMaxInput].forEach(input => {
+        if (!input || !bounds) return;
+        input.placeholder = input === readMinInput ? bounds.min : bounds.max;
+      });
+
+      if (clearFiltersButton) {
+        clearFiltersButton.classList.toggle('hidden', !SearchFacets.hasFilters(state));
+      }
+    }
+
     function showResults(results, query) {
       if (searchLoading) searchLoading.classList.add('hidden');
       if (initialContent) initialContent.classList.add('hidden');
       
-      if (results.length > 0) {
+      if (allResults.length > 0) {
         if (noResults) noResults.classList.add('hidden');
         if (searchResults) searchResults.classList.remove('hidden');
+        if (noFilteredResults) noFilteredResults.classList.toggle('hidden', results.length > 0);
         
         // Update stats
         if (searchStats) {
@@ -841,7 +1047,7 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
         
         // Render results
         if (resultsContainer) {
-          resultsContainer.innerHTML = results.map(result => createArticleCard(result, query)).join('');
+          resultsContainer.innerHTML = results.map(result => createArticleCard(result)).join('');
         }
       } else {
         if (searchResults) searchResults.classList.add('hidden');
@@ -849,101 +1055,48 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
       }
     }
 
-    function performFullSearch(query) {
-      if (!searchIndex) return;
+    function renderResults() {
+      renderFacets();
+      showResults(SearchFacets.applyState(allResults, state), resultsQuery);
+    }
 
-      const results = searchInIndex(query, 50); // More results for full search
-      showResults(results, query);
+    function performFullSearch(query) {
+      // Every match is needed to count facet values, not just the first page
+      searchInIndex(query, Infinity, 'page').then(results => {
+        if (!results || state.q !== query) return;
+
+        allResults = results;
+        resultsQuery = query;
+        renderResults();
+        // Logged before filters, which narrow what is shown but not what was found
+        searchAnalytics.recordSearch(query, results.length, 'page');
+      });
     }
 
     // Make performSearch available globally for URL parameter handling
-    window.performSearch = performFullSearch;
-  }
-
-  // Search in index with scoring
-  function searchInIndex(query, limit = 10) {
-    if (!searchIndex) return [];
+    window.performSearch = function(query) {
+      state.q = query.trim();
+      updateURL(false);
+      syncControls();
+      runSearch();
+    };
 
-    const queryLower = query.toLowerCase();
-    const queryWords = queryLower.split(/\s+/).filter(word => word.length > 0);
-    
-    const results = searchIndex.map(item => {
-      let score = 0;
-      const titleLower = item.title.toLowerCase();
-      const contentLower = item.content.toLowerCase();
-      const summaryLower = (item.summary || '').toLowerCase();
-      
-      // Title matches (highest priority)
-      queryWords.forEach(word => {
-        if (titleLower.includes(word)) {
-          score += titleLower === word ? 100 : (titleLower.startsWith(word) ? 50 : 20);
-        }
-      });
-      
-      // Summary matches (medium priority)
-      queryWords.forEach(word => {
-        if (summaryLower.includes(word)) {
-          score += 10;
-        }
-      });
-      
-      // Content matches (lower priority)
-      queryWords.forEach(word => {
-        if (contentLower.includes(word)) {
-          score += 5;
-        }
-      });
-      
-      // Tag matches (medium priority)
-      if (item.tags) {
-        item.tags.forEach(tag => {
-          const tagLower = tag.toLowerCase();
-          queryWords.forEach(word => {
-            if (tagLower.includes(word)) {
-              score += tagLower === word ? 30 : 15;
-            }
-          });
-        });
-      }
-      
-      // Category matches (medium priority)
-      if (item.categories) {
-        item.categories.forEach(category => {
-          const categoryLower = category.toLowerCase();
-          queryWords.forEach(word => {
-            if (categoryLower.includes(word)) {
-              score += categoryLower === word ? 25 : 12;
-            }
-          });
-        });
-      }
-      
-      return { ...item, score };
-    })
-    .filter(item => item.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, limit);
-    
-    return results;
+    syncControls();
+    runSearch();
   }
 
-  // Highlight search terms in text
-  function highlightText(text, query) {
-    if (!text || !query) return text;
-    
-    const queryWords = query.toLowerCase().split(/\s+/).filter(word => word.length > 0);
-    let highlightedText = text;
-    
-    queryWords.forEach(word => {
-      const regex = new RegExp(`(${escapeRegExp(word)})`, 'gi');
-      highlightedText = highlightedText.replace(regex, '<mark class="bg-yellow-200 dark:bg-yellow-800 px-1 rounded">$1</mark>');
+  // Search the prebuilt index, ranked by BM25. Resolves with null when a
+  // newer search on the same channel has superseded this one.
+  function searchInIndex(query, limit = 10, channel = 'default') {
+    return searchClient.search(query, { limit, channel }).catch(err => {
+      if (isAbortError(err)) return null;
+      console.error('Search failed:', err);
+      return [];
     });
-    
-    return highlightedText;
   }
 
   // Create article card HTML
-  function createArticleCard(article, query) {
+  function createArticleCard(article) {
     const image = article.image ? `
       <div class="relative aspect-video overflow-hidden">
         <img src="${article.image}" alt="${escapeHtml(article.title)}" 
@@ -962,10 +1115,10 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
         ${image}
         <div class="p-5">
           <h3 class="font-semibold mb-2 line-clamp-2 group-hover:text-primary transition-colors">
-            <a href="${article.permalink}">${highlightText(article.title, query)}</a>
+            <a href="${article.permalink}">${article.highlights.title}</a>
           </h3>
           <p class="text-muted-foreground text-sm mb-4 line-clamp-2">
-            ${highlightText(article.summary || '', query)}
+            ${article.highlights.summary}
           </p>
           <div class="flex items-center justify-between text-xs text-muted-foreground">
             <div class="flex items-center space-x-3">
@@ -983,6 +1136,53 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     `;
   }
 
+  // "Save for offline" toggle on article pages (content/save-offline.html)
+  function initSaveForOffline() {
+    const container = document.querySelector('[data-save-offline-container]');
+    const button = container && container.querySelector('[data-save-offline]');
+    if (!button || !OfflineArticles.isSupported()) return;
+
+    const label = button.querySelector('[data-save-offline-label]');
+    const store = new OfflineArticles();
+    let saved = false;
+
+    function setSaved(value) {
+      saved = value;
+      button.setAttribute('aria-pressed', String(saved));
+      label.textContent = saved ? button.dataset.savedLabel : button.dataset.saveLabel;
+    }
+
+    // Saved pages are only served back by the service worker
+    navigator.serviceWorker.getRegistration().then(registration => {
+      if (!registration) return;
+      container.classList.remove('hidden');
+      return store.isSaved(window.location.href).then(setSaved);
+    }).catch(error => console.warn('Offline articles unavailable:', error));
+
+    button.addEventListener('click', function() {
+      button.disabled = true;
+      label.textContent = button.dataset.savingLabel;
+
+      const action = saved
+        ? store.remove(window.location.href).then(() => {
+          setSaved(false);
+          showNotification(button.dataset.removedMessage);
+        })
+        : store.save(window.location.href, OfflineArticles.collectAssets()).then(() => {
+          setSaved(true);
+          showNotification(button.dataset.savedMessage);
+        });
+
+      action.catch(error => {
+        console.error('Failed to update offline article:', error);
+        setSaved(saved);
+        showNotification(button.dataset.failedMessage, 'error');
+      }).finally(() => {
+        button.disabled = false;
+      });
+    });
+  }
+
   // Utility functions
   function escapeHtml(text) {
     const div = document.createElement('div');
@@ -990,8 +1190,8 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     return div.innerHTML;
   }
 
-  function escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
   }
 
   // Make functions available globally
@@ -1000,9 +1200,7 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     const searchInput = document.getElementById('search-input');
     if (searchInput) {
       searchInput.value = query;
-      if (typeof setupSearchPage === 'function') {
-        setupSearchPage();
-      }
+      searchInput.dispatchEvent(new Event('input'));
     }
   };
 
@@ -1145,17 +1343,23 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
 
   // Scroll-triggered animations with Intersection Observer
   function initScrollAnimations() {
-    // Check if user prefers reduced motion
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    
-    if (prefersReducedMotion) {
-      // If reduced motion is preferred, show all elements immediately
+    // Show all elements immediately when reduced motion is preferred
+    const showAll = () => {
       const animatedElements = document.querySelectorAll('.scroll-fade-in, .scroll-slide-left, .scroll-slide-right, .stagger-grid > *');
       animatedElements.forEach(element => {
         element.classList.add('in-view');
       });
+    };
+    
+    if (isReducedMotion()) {
+      showAll();
       return;
     }
+    
+    // Readers can switch animations off from the preferences panel at any time
+    window.addEventListener('readerpreferenceschange', () => {
+      if (isReducedMotion()) showAll();
+    });
 
     if ('IntersectionObserver' in window) {
       const animationObserver = new IntersectionObserver((entries) => {
@@ -1231,7 +1435,7 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
 
   // Parallax effect for hero sections
   function initParallaxEffects() {
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const prefersReducedMotion = isReducedMotion();
     
     if (prefersReducedMotion) return;
 
@@ -1243,10 +1447,12 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     
     function updateParallax() {
       const scrolled = window.pageYOffset;
+      // Switched off from the reader preferences panel since the page loaded
+      const still = isReducedMotion();
       
       parallaxElements.forEach(element => {
         const rate = scrolled * (element.dataset.parallax || -0.5);
-        element.style.transform = `translateY(${rate}px)`;
+        element.style.transform = still ? '' : `translateY(${rate}px)`;
       });
       
       ticking = false;
@@ -1260,11 +1466,12 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     }
 
     window.addEventListener('scroll', requestParallaxUpdate, { passive: true });
+    window.addEventListener('readerpreferenceschange', requestParallaxUpdate);
   }
 
   // Text reveal animations
   function initTextRevealAnimations() {
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const prefersReducedMotion = isReducedMotion();
     
     if (prefersReducedMotion) return;
 
@@ -1424,7 +1631,7 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     }
 
     // Start monitoring only if animations are enabled
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const prefersReducedMotion = isReducedMotion();
     if (!prefersReducedMotion) {
       measureFPS();
     }
@@ -1439,57 +1646,6 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     });
   }
 
-  // Initialize all functionality when DOM is ready
-  ready(function() {
-    // Initialize multilingual support first
-    initializeLanguageSupport();
-    optimizeFontLoading();
-    initializeLanguageSwitching();
-    
-    // Initialize other functionality
-    initMobileMenu();
-    initSmoothScrolling();
-    initLazyLoading();
-    initTouchInteractions();
-    initResponsiveImages();
-    initViewportHandling();
-    initPerformanceOptimizations();
-    
-    // Initialize animation and visual effects
-    initScrollAnimations();
-    initCardEffects();
-    initParallaxEffects();
-    initTextRevealAnimations();
-    initInteractiveElements();
-    initLoadingAnimations();
-    initMicroInteractions();
-    initPerformanceMonitoring();
-    
-    // Load search index on page load
-    loadSearchIndex().then(() => {
-      initSearch();
-    });
-    
-    // Add loaded class to body for CSS animations
-    document.body.classList.add('loaded');
-    
-    // Add responsive classes based on screen size
-    function updateResponsiveClasses() {
-      const width = window.innerWidth;
-      document.body.classList.remove('mobile', 'tablet', 'desktop');
-      
-      if (width < 768) {
-        document.body.classList.add('mobile');
-      } else if (width < 1024) {
-        document.body.classList.add('tablet');
-      } else {
-        document.body.classList.add('desktop');
-      }
-    }
-    
-    updateResponsiveClasses();
-    window.addEventListener('resize', updateResponsiveClasses);
-  });
 
   // Handle page visibility changes
   document.addEventListener('visibilitychange', function() {
@@ -1503,37 +1659,72 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
   });
 
   // Newsletter subscription handling
-  function initNewsletterSubscription() {
-    const newsletterForms = document.querySelectorAll('form[action*="newsletter"], form[action*="subscribe"]');
-    
-    newsletterForms.forEach(form => {
-      form.addEventListener('submit', function(e) {
+  // Contact and newsletter forms (form[data-form], see helpers/form-settings.html).
+  // Submissions made offline are queued and sent once the connection is back.
+  function initFormSubmissions() {
+    const forms = document.querySelectorAll('form[data-form]');
+
+    const submitter = new FormSubmitter({
+      // A queued submission went through, possibly sent from another page
+      onDelivered: (kind) => {
+        const form = document.querySelector(`form[data-form="${kind}"]`);
+        if (form) {
+          setFormStatus(form, form.dataset.deliveredMessage);
+          showNotification(form.dataset.deliveredMessage, 'success');
+        }
+      }
+    });
+    submitter.init();
+
+    forms.forEach(form => {
+      form.addEventListener('submit', async function(e) {
         e.preventDefault();
-        
-        const email = this.querySelector('input[type="email"]').value;
+
+        const emailInput = this.querySelector('input[type="email"]');
         const submitButton = this.querySelector('button[type="submit"]');
         const originalText = submitButton.textContent;
-        
+        const messages = this.dataset;
+
         // Basic email validation
-        if (!email || !isValidEmail(email)) {
-          showNotification('Please enter a valid email address', 'error');
+        if (emailInput && !isValidEmail(emailInput.value)) {
+          showNotification(messages.invalidEmailMessage, 'error');
+          emailInput.focus();
           return;
         }
-        
+
         // Show loading state
-        submitButton.textContent = 'Subscribing...';
+        submitButton.textContent = messages.sendingLabel;
         submitButton.disabled = true;
-        
-        // Simulate subscription (replace with actual implementation)
-        setTimeout(() => {
-          showNotification('Thank you for subscribing!', 'success');
+
+        const state = await submitter.submit(this);
+        const message = {
+          sent: messages.sentMessage,
+          // Double opt-in: the provider has emailed a confirmation link
+          pending: messages.pendingMessage || messages.sentMessage,
+          queued: messages.queuedMessage,
+          failed: messages.failedMessage
+        }[state];
+
+        this.dataset.formState = state;
+        setFormStatus(this, message);
+        showNotification(message, state === 'failed' ? 'error' : state === 'queued' ? 'info' : 'success');
+        if (state !== 'failed') {
           this.reset();
-          submitButton.textContent = originalText;
-          submitButton.disabled = false;
-        }, 1500);
+        }
+
+        submitButton.textContent = originalText;
+        submitButton.disabled = false;
       });
     });
   }
+
+  // Forms with a [data-form-status] element keep the last message visible
+  function setFormStatus(form, message) {
+    const status = form.querySelector('[data-form-status]');
+    if (status) {
+      status.textContent = message;
+    }
+  }
   
   // Email validation helper
   function isValidEmail(email) {
@@ -1541,7 +1732,7 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     return emailRegex.test(email);
   }
   
-  // Footer social media link tracking (optional analytics)
+  // Footer social media link tracking, through window.ThemeAnalytics
   function initSocialMediaTracking() {
     const socialLinks = document.querySelectorAll('footer a[href*="twitter.com"], footer a[href*="facebook.com"], footer a[href*="linkedin.com"], footer a[href*="github.com"], footer a[href*="instagram.com"], footer a[href*="youtube.com"]');
     
@@ -1554,22 +1745,92 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
                          this.href.includes('instagram') ? 'Instagram' :
                          this.href.includes('youtube') ? 'YouTube' : 'Unknown';
         
-        // Track social media clicks (replace with your analytics implementation)
-        if (typeof gtag !== 'undefined') {
-          gtag('event', 'social_click', {
-            'social_platform': platform,
-            'link_url': this.href
+        if (window.ThemeAnalytics) {
+          window.ThemeAnalytics.track('social_click', {
+            social_platform: platform,
+            link_url: this.href
           });
         }
-        
-        console.log(`Social media click: ${platform}`);
       });
     });
   }
   
+  // Reading preferences panel in the header. The choices are applied and
+  // stored by window.ThemeReaderPreferences (layouts/partials/head/reader-preferences.html)
+  function initReaderPreferences() {
+    const preferences = window.ThemeReaderPreferences;
+    const container = document.querySelector('[data-reader-preferences]');
+    if (!preferences || !container) return;
+    
+    const button = container.querySelector('[data-reader-preferences-button]');
+    const panel = container.querySelector('[data-reader-preferences-panel]');
+    const form = container.querySelector('[data-reader-preferences-form]');
+    const output = form.querySelector('[data-reader-font-scale-output]');
+    
+    const sync = (prefs) => {
+      form.elements.fontScale.value = prefs.fontScale;
+      output.textContent = `${Math.round(prefs.fontScale * 100)}%`;
+      form.querySelectorAll('input[type="radio"]').forEach(input => {
+        input.checked = prefs[input.name] === input.value;
+      });
+      form.querySelectorAll('input[type="checkbox"]').forEach(input => {
+        input.checked = prefs[input.name];
+      });
+    };
+    
+    const open = () => {
+      sync(preferences.get());
+      panel.classList.remove('hidden');
+      button.setAttribute('aria-expanded', 'true');
+      panel.querySelector('input').focus();
+    };
+    
+    const close = (restoreFocus = true) => {
+      if (panel.classList.contains('hidden')) return;
+      panel.classList.add('hidden');
+      button.setAttribute('aria-expanded', 'false');
+      if (restoreFocus) button.focus();
+    };
+    
+    button.addEventListener('click', () => {
+      if (panel.classList.contains('hidden')) {
+        open();
+      } else {
+        close();
+      }
+    });
+    container.querySelector('[data-reader-preferences-close]').addEventListener('click', () => close());
+    
+    // Escape and clicks elsewhere close the panel
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        close();
+      }
+    });
+    document.addEventListener('click', (e) => {
+      if (!container.contains(e.target)) close(false);
+    });
+    
+    // Every change applies at once; the range slider while it is dragged
+    form.addEventListener('input', (e) => {
+      const input = e.target;
+      if (input.name === 'fontScale') {
+        preferences.set({ fontScale: parseFloat(input.value) });
+      } else if (input.type === 'checkbox') {
+        preferences.set({ [input.name]: input.checked });
+      } else if (input.type === 'radio' && input.checked) {
+        preferences.set({ [input.name]: input.value });
+      }
+    });
+    form.querySelector('[data-reader-preferences-reset]').addEventListener('click', () => preferences.reset());
+    
+    // Also catches changes made in other tabs
+    preferences.on(sync);
+  }
+  
   // Enhanced footer functionality
   function initFooterFeatures() {
-    initNewsletterSubscription();
     initSocialMediaTracking();
     
     // Add smooth scroll to top functionality if back-to-top button exists
@@ -1596,44 +1857,5 @@ import { AssetManager, assetUtils } from './modules/assetManager.js';
     }
   }
   
-  // Initialize all functionality when DOM is ready
-  ready(function() {
-    // Initialize core functionality
-    initializeLanguageSupport();
-    optimizeFontLoading();
-    initializeLanguageSwitching();
-    
-    // Initialize UI components
-    initMobileMenu();
-    initSmoothScrolling();
-    initLazyLoading();
-    initTouchInteractions();
-    initResponsiveImages();
-    initViewportHandling();
-    initPerformanceOptimizations();
-    initScrollAnimations();
-    
-    // Initialize search functionality
-    loadSearchIndex().then(() => {
-      initSearch();
-    });
-    
-    // Initialize footer features
-    initFooterFeatures();
-    
-    // Page-specific initializations
-    if (document.getElementById('search-input')) {
-      initializeSearch();
-    }
-    
-    // Handle URL parameters for search
-    const urlParams = new URLSearchParams(window.location.search);
-    const searchQuery = urlParams.get('q') || urlParams.get('query');
-    if (searchQuery && typeof window.performSearch === 'function') {
-      window.performSearch(searchQuery);
-    }
-    
-    console.log('Theme initialized successfully');
-  });
 
 })();
\ No newline at end of file
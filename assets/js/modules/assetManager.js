@@ -12,26 +12,11 @@ export class AssetManager {
   }
 
   init() {
-    this.setupServiceWorker();
     this.setupAssetCaching();
     this.setupDynamicImports();
     this.monitorNetworkCondition();
   }
 
-  // Service Worker setup for asset caching
-  setupServiceWorker() {
-    if ('serviceWorker' in navigator && 'caches' in window) {
-      // Register service worker for asset caching
-      navigator.serviceWorker.register('/sw.js')
-        .then(registration => {
-          console.log('Service Worker registered:', registration);
-        })
-        .catch(error => {
-          console.log('Service Worker registration failed:', error);
-        });
-    }
-  }
-
   // Asset caching strategies
   setupAssetCaching() {
     // Cache critical assets in memory
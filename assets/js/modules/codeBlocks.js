@@ -0,0 +1,185 @@
+// Code blocks module
+// Wires the copy buttons that layouts/_markup/render-codeblock.html puts on
+// fenced code blocks, and turns runs of blocks with the same group into tabs.
+// A tab picked in one group is picked in every group of that name on the
+// page and remembered for the next one.
+
+const STORAGE_PREFIX = 'theme-code-tab:';
+
+let tabCount = 0;
+
+export class CodeBlocks {
+  // write(text) resolves to whether the text reached the clipboard;
+  // copies are reported to analytics (window.ThemeAnalytics) as copy_code
+  constructor({
+    write = text => navigator.clipboard.writeText(text).then(() => true, () => false),
+    analytics = window.ThemeAnalytics
+  } = {}) {
+    this.write = write;
+    this.analytics = analytics;
+    this.groups = new Map();
+  }
+
+  init() {
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-code-copy]');
+      if (button) this.copy(button);
+    });
+
+    this.buildTabs();
+  }
+
+  // The code as written: line numbers, in a column of their own or at the
+  // start of each line, are left out
+  codeOf(block) {
+    const codes = block.querySelectorAll('pre code');
+    if (codes.length === 0) return '';
+
+    const code = codes[codes.length - 1].cloneNode(true);
+    code.querySelectorAll('.ln, .lnt').forEach(number => number.remove());
+    return code.textContent.replace(/\n$/, '');
+  }
+
+  copy(button) {
+    const block = button.closest('[data-code-block]');
+    const label = button.querySelector('[data-code-copy-label]');
+    const status = block.querySelector('[data-code-copy-status]');
+    if (!label.dataset.text) label.dataset.text = label.textContent;
+
+    this.write(this.codeOf(block)).then((copied) => {
+      const message = copied ? button.dataset.copiedText : button.dataset.failedText;
+      label.textContent = message;
+      if (status) status.textContent = message;
+      button.classList.toggle('text-green-600', copied);
+      if (copied && this.analytics) {
+        this.analytics.track('copy_code', { language: block.dataset.lang, content_id: window.location.pathname });
+      }
+
+      clearTimeout(button.resetTimer);
+      button.resetTimer = setTimeout(() => {
+        label.textContent = label.dataset.text;
+        if (status) status.textContent = '';
+        button.classList.remove('text-green-600');
+      }, 2000);
+    });
+  }
+
+  // Runs of adjacent blocks that share a group name
+  runs() {
+    const runs = [];
+    let run = null;
+
+    document.querySelectorAll('[data-code-block][data-code-group]').forEach(block => {
+      const previous = run && run[run.length - 1];
+      if (previous && previous.nextElementSibling === block && previous.dataset.codeGroup === block.dataset.codeGroup) {
+        run.push(block);
+      } else {
+        run = [block];
+        runs.push(run);
+      }
+    });
+
+    return runs.filter(blocks => blocks.length > 1);
+  }
+
+  buildTabs() {
+    this.runs().forEach(blocks => {
+      const name = blocks[0].dataset.codeGroup;
+      const container = document.createElement('div');
+      container.className = 'code-tabs my-6 not-prose';
+
+      const list = document.createElement('div');
+      list.className = 'flex flex-wrap gap-1 border-b border-border';
+      list.setAttribute('role', 'tablist');
+      list.setAttribute('aria-label', name);
+      container.appendChild(list);
+
+      blocks[0].before(container);
+
+      const tabs = blocks.map(block => {
+        const id = `code-tab-${++tabCount}`;
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.id = id;
+        tab.className = 'rounded-t-md px-3 py-1.5 text-sm font-medium text-muted-foreground hover:text-primary focus:outline-none focus:ring-2 focus:ring-primary aria-selected:bg-muted aria-selected:text-foreground';
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-controls', `${id}-panel`);
+        tab.textContent = block.dataset.codeTab;
+        list.appendChild(tab);
+
+        block.id = `${id}-panel`;
+        block.setAttribute('role', 'tabpanel');
+        block.setAttribute('aria-labelledby', id);
+        block.classList.remove('my-6');
+        block.classList.add('mt-2');
+        container.appendChild(block);
+
+        tab.addEventListener('click', () => this.select(name, block.dataset.codeTab, true));
+        return tab;
+      });
+
+      list.addEventListener('keydown', (e) => this.onKeydown(e, tabs));
+
+      if (!this.groups.has(name)) this.groups.set(name, []);
+      this.groups.get(name).push(tabs);
+    });
+
+    this.groups.forEach((sets, name) => {
+      const saved = this.load(name);
+      const labels = sets[0].map(tab => tab.textContent);
+      this.select(name, labels.includes(saved) ? saved : labels[0], false);
+    });
+  }
+
+  // Picks the tab with this label in every group of the name; groups
+  // without it keep their current tab
+  select(name, label, remember) {
+    this.groups.get(name).forEach(tabs => {
+      const match = tabs.find(tab => tab.textContent === label) ||
+        (tabs.some(tab => tab.getAttribute('aria-selected') === 'true') ? null : tabs[0]);
+      if (!match) return;
+
+      tabs.forEach(tab => {
+        const selected = tab === match;
+        tab.setAttribute('aria-selected', String(selected));
+        tab.tabIndex = selected ? 0 : -1;
+        document.getElementById(tab.getAttribute('aria-controls')).hidden = !selected;
+      });
+    });
+
+    if (remember) this.save(name, label);
+  }
+
+  // Arrow keys, Home and End move between tabs and pick them
+  onKeydown(e, tabs) {
+    const index = tabs.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    let next;
+    if (e.key === 'ArrowRight') next = (index + 1) % tabs.length;
+    else if (e.key === 'ArrowLeft') next = (index - 1 + tabs.length) % tabs.length;
+    else if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = tabs.length - 1;
+    else return;
+
+    e.preventDefault();
+    tabs[next].focus();
+    tabs[next].click();
+  }
+
+  load(name) {
+    try {
+      return localStorage.getItem(STORAGE_PREFIX + name);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  save(name, label) {
+    try {
+      localStorage.setItem(STORAGE_PREFIX + name, label);
+    } catch (e) {
+      // Storage disabled: the choice lasts for this page
+    }
+  }
+}
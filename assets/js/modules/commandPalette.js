@@ -0,0 +1,418 @@
+// Command palette
+// Quick-open dialog over posts (local search index), taxonomy terms and menu
+// entries, opened with Ctrl/Cmd+K or "/". Markup and the term/menu data come
+// from layouts/partials/search/command-palette.html. While it is open, Tab
+// and Shift+Tab cycle through its controls only.
+
+import SearchCore from './searchCore.js';
+import { isAbortError } from './searchClient.js';
+
+const RECENT_SEARCHES_KEY = 'command-palette-recent';
+const MAX_RECENT_SEARCHES = 5;
+const MAX_POSTS = 6;
+const MAX_TERMS = 5;
+const MAX_PAGES = 4;
+
+// Result options are reached with the arrow keys, so they are not Tab stops
+const FOCUSABLE = 'a[href]:not([tabindex="-1"]), button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+export class CommandPalette {
+  constructor(options = {}) {
+    this.searchClient = options.searchClient;
+    // Optional SearchAnalytics instance (see searchAnalytics.js)
+    this.analytics = options.analytics || null;
+    this.minQueryLength = options.minQueryLength || 2;
+    this.element = document.querySelector('[data-command-palette]');
+    this.items = [];
+    this.activeIndex = -1;
+    this.previousFocus = null;
+    this.searchTimeout = null;
+    this.requestId = 0;
+    this.trapFocus = (e) => this.handleTab(e);
+
+    if (this.element) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.input = this.element.querySelector('[data-command-palette-input]');
+    this.list = this.element.querySelector('[data-command-palette-list]');
+    this.preview = this.element.querySelector('[data-command-palette-preview]');
+    this.data = this.readData();
+
+    this.setupShortcuts();
+    this.setupEvents();
+  }
+
+  readData() {
+    const dataElement = this.element.querySelector('[data-command-palette-data]');
+    const defaults = { terms: [], menu: [], searchURL: '/search/', labels: {} };
+    try {
+      return { ...defaults, ...JSON.parse(dataElement.textContent) };
+    } catch (error) {
+      console.warn('Command palette data unavailable:', error);
+      return defaults;
+    }
+  }
+
+  isOpen() {
+    return this.element.classList.contains('focus-trap-active');
+  }
+
+  open() {
+    if (!this.isOpen()) {
+      this.previousFocus = document.activeElement;
+      this.element.classList.add('focus-trap-active');
+      document.body.classList.add('focus-trap-active');
+      document.addEventListener('keydown', this.trapFocus);
+      this.input.value = '';
+      this.update();
+
+      // Start loading the index so the first query does not wait for it
+      this.searchClient.load().catch(() => {});
+    }
+    this.input.focus();
+  }
+
+  close() {
+    clearTimeout(this.searchTimeout);
+    this.requestId++;
+    this.element.classList.remove('focus-trap-active');
+    document.body.classList.remove('focus-trap-active');
+    document.removeEventListener('keydown', this.trapFocus);
+
+    if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  // Keeps Tab inside the dialog, and brings focus back to it if a click on
+  // the preview or the backdrop let it escape
+  handleTab(e) {
+    if (e.key !== 'Tab') return;
+
+    const focusable = this.element.querySelectorAll(FOCUSABLE);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = this.element.contains(document.activeElement);
+
+    if (e.shiftKey && (!inside || document.activeElement === first)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  setupShortcuts() {
+    document.addEventListener('keydown', (e) => {
+      if ((e.metaKey || e.ctrlKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (this.isOpen()) {
+          this.close();
+        } else {
+          this.open();
+        }
+        return;
+      }
+
+      if (e.key === '/' && !e.metaKey && !e.ctrlKey && !e.altKey && !this.isOpen() && !isTypingTarget(e.target)) {
+        e.preventDefault();
+        this.open();
+      }
+    });
+  }
+
+  setupEvents() {
+    this.element.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    });
+
+    this.element.querySelectorAll('[data-command-palette-close]').forEach(control => {
+      control.addEventListener('click', () => this.close());
+    });
+
+    this.input.addEventListener('input', () => {
+      clearTimeout(this.searchTimeout);
+      this.searchTimeout = setTimeout(() => this.update(), 150);
+    });
+
+    this.input.addEventListener('keydown', (e) => {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          this.setActive(Math.min(this.activeIndex + 1, this.items.length - 1));
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          this.setActive(Math.max(this.activeIndex - 1, 0));
+          break;
+        case 'Enter':
+          e.preventDefault();
+          this.choose(this.activeIndex);
+          break;
+      }
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (!option) return;
+      e.preventDefault();
+      this.choose(Number(option.dataset.index));
+    });
+
+    this.list.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (option && Number(option.dataset.index) !== this.activeIndex) {
+        this.setActive(Number(option.dataset.index), false);
+      }
+    });
+  }
+
+  async update() {
+    const query = this.input.value.trim();
+    const requestId = ++this.requestId;
+
+    if (query.length < this.minQueryLength) {
+      this.render(this.recentItems().concat(this.pageItems('')));
+      return;
+    }
+
+    const posts = await this.postItems(query);
+    // A newer query (or closing the palette) supersedes this one
+    if (requestId !== this.requestId) return;
+
+    this.render(posts.concat(this.termItems(query), this.pageItems(query), this.searchAllItem(query)));
+    if (this.analytics) this.analytics.recordSearch(query, posts.length, 'palette');
+  }
+
+  async postItems(query) {
+    try {
+      const results = await this.searchClient.search(query, { limit: MAX_POSTS, channel: 'palette' });
+      return results.map(doc => ({
+        type: 'post',
+        group: this.data.labels.posts,
+        title: doc.title,
+        url: doc.relpermalink || doc.permalink,
+        meta: doc.date || '',
+        doc
+      }));
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Command palette search failed:', error);
+      }
+      return [];
+    }
+  }
+
+  termItems(query) {
+    return matchByTitle(this.data.terms, query)
+      .slice(0, MAX_TERMS)
+      .map(term => ({
+        type: 'term',
+        group: term.group,
+        title: term.title,
+        url: term.url,
+        meta: `${term.count}`,
+        term
+      }));
+  }
+
+  pageItems(query) {
+    const pages = query ? matchByTitle(this.data.menu, query).slice(0, MAX_PAGES) : this.data.menu;
+    return pages.map(page => ({
+      type: 'page',
+      group: this.data.labels.pages,
+      title: page.title,
+      url: page.url,
+      meta: ''
+    }));
+  }
+
+  recentItems() {
+    return this.loadRecentSearches().map(query => ({
+      type: 'recent',
+      group: this.data.labels.recent,
+      title: query,
+      url: this.searchURL(query),
+      meta: ''
+    }));
+  }
+
+  searchAllItem(query) {
+    return {
+      type: 'search',
+      group: '',
+      title: `${this.data.labels.searchAll} "${query}"`,
+      url: this.searchURL(query),
+      meta: '↵',
+      query
+    };
+  }
+
+  searchURL(query) {
+    return `${this.data.searchURL}?q=${encodeURIComponent(query)}`;
+  }
+
+  render(items) {
+    this.items = items;
+    const onlySearchAll = items.length === 1 && items[0].type === 'search';
+    let group = null;
+
+    const html = items.map((item, index) => {
+      let heading = '';
+      if (item.group && item.group !== group) {
+        heading = `<div class="command-palette-group" role="presentation">${escapeHtml(item.group)}</div>`;
+      }
+      group = item.group;
+
+      return `${heading}
+        <a id="command-palette-option-${index}"
+           class="command-palette-option"
+           href="${escapeHtml(item.url)}"
+           role="option"
+           tabindex="-1"
+           aria-selected="false"
+           data-index="${index}">
+          <span class="truncate">${escapeHtml(item.title)}</span>
+          ${item.meta ? `<span class="command-palette-option-meta">${escapeHtml(item.meta)}</span>` : ''}
+        </a>`;
+    }).join('');
+
+    this.list.innerHTML = (onlySearchAll
+      ? `<div class="command-palette-empty" role="presentation">${escapeHtml(this.data.labels.noResults)}</div>`
+      : '') + html;
+
+    this.setActive(items.length > 0 ? 0 : -1);
+  }
+
+  setActive(index, scroll = true) {
+    this.activeIndex = index;
+
+    this.list.querySelectorAll('[role="option"]').forEach(option => {
+      option.setAttribute('aria-selected', Number(option.dataset.index) === index ? 'true' : 'false');
+    });
+
+    const active = this.list.querySelector(`#command-palette-option-${index}`);
+    if (active) {
+      this.input.setAttribute('aria-activedescendant', active.id);
+      if (scroll) active.scrollIntoView({ block: 'nearest' });
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+
+    this.renderPreview(this.items[index]);
+  }
+
+  renderPreview(item) {
+    if (!this.preview) return;
+    if (!item) {
+      this.preview.innerHTML = '';
+      return;
+    }
+
+    const labels = this.data.labels;
+    let details = '';
+
+    if (item.type === 'post') {
+      const doc = item.doc;
+      const meta = [doc.date, doc.readTime ? `${doc.readTime} ${labels.minRead}` : '', doc.author]
+        .filter(Boolean)
+        .map(escapeHtml)
+        .join(' · ');
+      details = `
+        <p class="text-xs text-muted-foreground mb-2">${meta}</p>
+        <p class="mb-3">${escapeHtml(doc.summary || '')}</p>
+        ${(doc.categories || []).concat(doc.tags || []).map(name => `
+          <span class="inline-block mr-1 mb-1 rounded-full border border-border px-2 py-0.5 text-xs">${escapeHtml(name)}</span>
+        `).join('')}`;
+    } else if (item.type === 'term') {
+      details = `<p class="text-muted-foreground">${escapeHtml(item.group)} · ${escapeHtml(`${item.term.count} ${labels.postCount}`)}</p>`;
+    } else {
+      details = `<p class="text-muted-foreground break-all">${escapeHtml(item.url)}</p>`;
+    }
+
+    this.preview.innerHTML = `
+      <h3 class="font-semibold text-base mb-2">${escapeHtml(item.title)}</h3>
+      ${details}`;
+  }
+
+  choose(index) {
+    const item = this.items[index];
+    const query = this.input.value.trim();
+
+    if (!item) {
+      if (query) window.location.href = this.searchURL(query);
+      return;
+    }
+
+    // Picking a recent search runs it again in the palette
+    if (item.type === 'recent') {
+      this.input.value = item.title;
+      this.update();
+      return;
+    }
+
+    if (query.length >= this.minQueryLength) {
+      this.saveRecentSearch(query);
+    }
+    if (item.type === 'post' && this.analytics) {
+      const posts = this.items.filter(candidate => candidate.type === 'post');
+      this.analytics.recordClick(query, posts.indexOf(item) + 1, item.url, 'palette');
+    }
+    window.location.href = item.url;
+  }
+
+  loadRecentSearches() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY) || '[]');
+      return Array.isArray(stored) ? stored.filter(query => typeof query === 'string') : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveRecentSearch(query) {
+    const recent = this.loadRecentSearches()
+      .filter(previous => previous.toLowerCase() !== query.toLowerCase());
+    recent.unshift(query);
+
+    try {
+      localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent.slice(0, MAX_RECENT_SEARCHES)));
+    } catch (error) {
+      // Storage may be full or disabled (private browsing)
+    }
+  }
+}
+
+// Entries whose title contains the query, those starting with it first
+function matchByTitle(entries, query) {
+  const needle = SearchCore.normalize(query);
+  return entries
+    .map(entry => ({ entry, position: SearchCore.normalize(entry.title).indexOf(needle) }))
+    .filter(({ position }) => position !== -1)
+    .sort((a, b) => (a.position === 0 ? 0 : 1) - (b.position === 0 ? 0 : 1))
+    .map(({ entry }) => entry);
+}
+
+function isTypingTarget(target) {
+  if (!target || !target.tagName) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+}
+
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,86 @@
+// Consent policy module
+// How consent works for a visitor: Global Privacy Control, the country guess,
+// the policy for the visitor's region and the consent a service gets before
+// any choice. Pure functions over the ThemePrivacy config; inlined by
+// layouts/partials/privacy/consent-manager.html and loadable from Node for
+// the tests.
+
+(function(root) {
+  'use strict';
+
+  // Time zones that place a visitor in the EEA, the UK or Switzerland, or in
+  // the US
+  const EUROPE_TIME_ZONE = /^(Europe\/(?!(Moscow|Minsk|Istanbul|Kiev|Kyiv|Kaliningrad|Samara|Volgograd|Saratov|Ulyanovsk|Astrakhan|Kirov|Simferopol|Chisinau|Belgrade|Sarajevo|Skopje|Tirane|Podgorica)$)|Atlantic\/(Canary|Madeira|Azores|Reykjavik|Faroe)$)/;
+  const US_TIME_ZONE = /^(America\/(New_York|Detroit|Chicago|Denver|Phoenix|Los_Angeles|Anchorage|Juneau|Sitka|Yakutat|Nome|Metlakatla|Adak|Boise|Menominee)$|America\/(Indiana|Kentucky|North_Dakota)\/|Pacific\/Honolulu$)/;
+
+  // Global Privacy Control: an opt-out of selling and sharing personal data
+  // (CCPA/CPRA), which here means advertising
+  function globalPrivacyControl(config, navigator) {
+    return !!config.respectGlobalPrivacyControl && !!navigator && navigator.globalPrivacyControl === true;
+  }
+
+  // Rough country guess: 'EU' or 'US' from the time zone, 'ZZ' for any other
+  // time zone, and the browser language's region without one
+  function guessCountry(timeZone, language) {
+    const zone = timeZone || '';
+    if (EUROPE_TIME_ZONE.test(zone)) return 'EU';
+    if (US_TIME_ZONE.test(zone)) return 'US';
+    if (zone) return 'ZZ';
+
+    const region = (language || '').match(/-([a-z]{2})(?:-|$)/i);
+    return region ? region[1] : '';
+  }
+
+  // The policy params.privacy.regions gives a country; '' is an unknown one
+  function regionPolicy(country, regions) {
+    const code = (country || '').toUpperCase();
+    if (!code) return regions.unknownCountry;
+    if (regions.optIn.indexOf(code) !== -1) return 'opt-in';
+    if (regions.optOut.indexOf(code) !== -1) return 'opt-out';
+    return regions.otherCountries;
+  }
+
+  // How consent works for this visitor:
+  // - 'opt-in': nothing optional runs until the visitor agrees
+  // - 'opt-out': everything runs until the visitor says no
+  // - 'none': no banner; stored choices still count
+  function consentPolicy(config, region) {
+    if (!config.cookieConsent) return 'none';
+    if (!config.regions.enabled) return 'opt-in';
+    return region.policy;
+  }
+
+  // A service's consent: true, false, or null while a choice is awaited.
+  // context: { trackingDisabled, globalPrivacyControl, cookieConsent,
+  // stored(), policy() }; the two functions are only called when needed.
+  function resolveConsent(service, context) {
+    // If tracking is globally disabled, deny all consent
+    if (context.trackingDisabled) return false;
+
+    // Global Privacy Control opts out of advertising everywhere
+    if (service === 'advertising' && context.globalPrivacyControl) return false;
+
+    // If cookie consent is disabled, assume consent (unless DNT is set)
+    if (!context.cookieConsent) return true;
+
+    const stored = context.stored();
+    if (stored !== null) return stored;
+
+    // Without a choice, only opt-in regions wait for one
+    return context.policy() === 'opt-in' ? null : true;
+  }
+
+  const ConsentPolicy = {
+    globalPrivacyControl,
+    guessCountry,
+    regionPolicy,
+    consentPolicy,
+    resolveConsent
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentPolicy;
+  } else {
+    root.ConsentPolicy = ConsentPolicy;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,183 @@
+// Embed facades module
+// Loads the third-party embeds that layouts/partials/content/embed-facade.html
+// stands in for: one at a time on a click, or all of a provider's once the
+// visitor allows it, in the cookie settings or with a facade's "always load"
+// box. With cookie consent off, that box is remembered here instead.
+
+const STORAGE_KEY = 'theme-embed-providers';
+
+let gistCount = 0;
+
+export class EmbedFacades {
+  constructor({ privacy = window.ThemePrivacy } = {}) {
+    this.privacy = privacy;
+  }
+
+  init() {
+    if (!document.querySelector('[data-embed-facade]')) return;
+
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-embed-load]');
+      if (!button) return;
+
+      const facade = button.closest('[data-embed-facade]');
+      const remember = facade.querySelector('[data-embed-remember]');
+      this.load(facade, { autoplay: true });
+      if (remember && remember.checked) this.remember(facade.dataset.embedProvider);
+    });
+
+    if (this.privacy) {
+      ['consentChanged', 'vendorConsentChanged', 'allConsentGranted'].forEach((event) => {
+        this.privacy.on(event, () => this.loadAllowed());
+      });
+    }
+    this.loadAllowed();
+  }
+
+  managedByConsent() {
+    return Boolean(this.privacy && this.privacy.config.cookieConsent);
+  }
+
+  // Whether the visitor chose to load this provider without asking; a
+  // category granted by default is not enough
+  allowed(provider) {
+    if (this.managedByConsent()) {
+      return this.privacy.getVendorChoices()[provider] === true && this.privacy.hasVendorConsent(provider);
+    }
+    return this.rememberedProviders().includes(provider);
+  }
+
+  rememberedProviders() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  remember(provider) {
+    if (this.managedByConsent()) {
+      // The consent events load the provider's other embeds
+      if (!this.privacy.hasConsent('functional')) this.privacy.grantConsent('functional');
+      this.privacy.setVendorConsent(provider, true);
+      return;
+    }
+
+    const providers = this.rememberedProviders();
+    if (!providers.includes(provider)) providers.push(provider);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(providers));
+    } catch (e) {
+      // Not remembered; this embed still loads
+    }
+    this.loadAllowed();
+  }
+
+  loadAllowed() {
+    document.querySelectorAll('[data-embed-facade]').forEach((facade) => {
+      if (this.allowed(facade.dataset.embedProvider)) this.load(facade, { autoplay: false });
+    });
+  }
+
+  load(facade, { autoplay }) {
+    if (facade.dataset.embedLoaded) return;
+    facade.dataset.embedLoaded = 'true';
+
+    const frame = facade.querySelector('[data-embed-frame]');
+    switch (facade.dataset.embedKind) {
+      case 'iframe':
+        this.loadFrame(facade, frame, autoplay);
+        break;
+      case 'gist':
+        this.loadGist(facade, frame);
+        break;
+      default:
+        this.loadScript(facade, frame);
+    }
+  }
+
+  // Players: the iframe takes the facade's place in the 16:9 frame, and
+  // starts playing when it was loaded by the play button
+  loadFrame(facade, frame, autoplay) {
+    const src = new URL(facade.dataset.embedSrc);
+    if (autoplay) src.searchParams.set('autoplay', '1');
+
+    const iframe = document.createElement('iframe');
+    iframe.src = src.href;
+    iframe.title = facade.dataset.embedTitle;
+    iframe.allow = facade.dataset.embedAllow || '';
+    iframe.allowFullscreen = true;
+    iframe.className = 'absolute inset-0 w-full h-full';
+    iframe.setAttribute('frameborder', '0');
+
+    frame.replaceChildren(iframe);
+    if (autoplay) iframe.focus();
+  }
+
+  // Widgets (tweets, Instagram posts): the markup from the template, with
+  // its scripts recreated, since scripts from a template do not run
+  loadScript(facade, frame) {
+    const template = facade.querySelector('template[data-embed-content]');
+    if (!template) return;
+
+    const content = template.content.cloneNode(true);
+    content.querySelectorAll('script').forEach((script) => {
+      const copy = document.createElement('script');
+      Array.from(script.attributes).forEach(attribute => copy.setAttribute(attribute.name, attribute.value));
+      copy.textContent = script.textContent;
+      script.replaceWith(copy);
+    });
+
+    frame.replaceWith(content);
+  }
+
+  // Gists come from GitHub's JSONP endpoint: the file markup and the
+  // stylesheet it needs
+  loadGist(facade, frame) {
+    const { embedUser: user, embedId: id, embedFile: file } = facade.dataset;
+    const callback = `themeGistCallback${++gistCount}`;
+    const url = new URL(`https://gist.github.com/${user}/${id}.json`);
+    url.searchParams.set('callback', callback);
+    if (file) url.searchParams.set('file', file);
+
+    const script = document.createElement('script');
+    const done = () => {
+      delete window[callback];
+      script.remove();
+    };
+
+    window[callback] = (data) => {
+      done();
+      if (!data || !data.div) {
+        this.fail(facade);
+        return;
+      }
+
+      if (data.stylesheet && !document.querySelector(`link[href="${data.stylesheet}"]`)) {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = data.stylesheet;
+        document.head.appendChild(link);
+      }
+
+      const container = document.createElement('div');
+      container.className = 'gist-container';
+      container.innerHTML = data.div;
+      frame.replaceWith(container);
+    };
+
+    script.src = url.href;
+    script.onerror = () => {
+      done();
+      this.fail(facade);
+    };
+    document.head.appendChild(script);
+  }
+
+  // Keeps the facade, says so, and lets the button try again
+  fail(facade) {
+    delete facade.dataset.embedLoaded;
+    const error = facade.querySelector('[data-embed-error]');
+    if (error) error.hidden = false;
+  }
+}
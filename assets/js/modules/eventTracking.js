@@ -0,0 +1,156 @@
+// Event tracking module
+// Sends the events that need no code to window.ThemeAnalytics
+// (layouts/partials/analytics/theme-analytics.html), as switched on in
+// params.analytics.events:
+// - outbound_click and file_download for links leaving the site or
+//   pointing at a file
+// - scroll_depth at 25, 50, 75 and 100% of the article, and read_complete
+//   once its end is reached after a quarter of its reading time
+// - declarative events: data-track-event="share" on any element, with its
+//   props as data-track-* attributes (data-track-content-type becomes
+//   content_type), sent on a click, or with data-track-on="view" once it
+//   is half in view, or "submit" for forms
+
+const SCROLL_DEPTHS = [25, 50, 75, 100];
+const READ_FRACTION = 0.25;
+
+export class EventTracking {
+  constructor({ analytics = window.ThemeAnalytics } = {}) {
+    this.analytics = analytics;
+    this.settings = (analytics && analytics.settings) || {};
+    this.article = document.querySelector('[data-analytics-article]');
+    this.depthsSent = new Set();
+    this.readTimer = null;
+    this.readSent = false;
+    this.ticking = false;
+  }
+
+  init() {
+    if (!this.analytics) return;
+
+    document.addEventListener('click', e => this.handleClick(e));
+    if (this.settings.declarative) this.trackDeclarative();
+
+    if (this.article && (this.settings.scrollDepth || this.settings.readCompletion)) {
+      this.startedAt = Date.now();
+      window.addEventListener('scroll', () => this.requestProgress(), { passive: true });
+      this.updateProgress();
+    }
+  }
+
+  handleClick(e) {
+    const tracked = e.target.closest('[data-track-event]');
+    if (tracked) {
+      // Declared events take the place of the automatic link events
+      if (this.settings.declarative && (tracked.dataset.trackOn || 'click') === 'click') this.send(tracked);
+      return;
+    }
+
+    const link = e.target.closest('a[href]');
+    if (link) this.trackLink(link);
+  }
+
+  // The event named by data-track-event, with the data-track-* props
+  send(element) {
+    const props = {};
+    Object.keys(element.dataset).forEach(key => {
+      if (!key.startsWith('track') || key === 'trackEvent' || key === 'trackOn') return;
+      const name = key.slice('track'.length).replace(/[A-Z]/g, (letter, index) => (index ? '_' : '') + letter.toLowerCase());
+      props[name] = element.dataset[key];
+    });
+    this.analytics.track(element.dataset.trackEvent, props);
+  }
+
+  trackDeclarative() {
+    document.addEventListener('submit', (e) => {
+      const form = e.target.closest('[data-track-event][data-track-on="submit"]');
+      if (form) this.send(form);
+    });
+
+    const viewed = document.querySelectorAll('[data-track-event][data-track-on="view"]');
+    if (viewed.length === 0 || !('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        observer.unobserve(entry.target);
+        this.send(entry.target);
+      });
+    }, { threshold: 0.5 });
+    viewed.forEach(element => observer.observe(element));
+  }
+
+  trackLink(link) {
+    let url;
+    try {
+      url = new URL(link.href, window.location.href);
+    } catch (e) {
+      return;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+    const linkText = link.textContent.trim() || link.getAttribute('aria-label') || '';
+    const fileName = decodeURIComponent(url.pathname.split('/').pop());
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+    if (this.settings.downloads && (link.hasAttribute('download') || (this.settings.downloadExtensions || []).includes(extension))) {
+      this.analytics.track('file_download', {
+        link_url: url.href,
+        file_name: fileName,
+        file_extension: extension,
+        link_text: linkText
+      });
+    } else if (this.settings.outboundLinks && url.hostname !== window.location.hostname) {
+      this.analytics.track('outbound_click', {
+        link_url: url.href,
+        link_domain: url.hostname,
+        link_text: linkText
+      });
+    }
+  }
+
+  requestProgress() {
+    if (this.ticking) return;
+    this.ticking = true;
+    requestAnimationFrame(() => {
+      this.ticking = false;
+      this.updateProgress();
+    });
+  }
+
+  // How far down the article the bottom of the window has come, in percent
+  progress() {
+    const rect = this.article.getBoundingClientRect();
+    if (rect.height <= 0) return 0;
+    return Math.min(100, Math.max(0, (window.innerHeight - rect.top) / rect.height * 100));
+  }
+
+  updateProgress() {
+    const progress = this.progress();
+
+    if (this.settings.scrollDepth) {
+      SCROLL_DEPTHS.forEach(depth => {
+        if (progress < depth || this.depthsSent.has(depth)) return;
+        this.depthsSent.add(depth);
+        this.analytics.track('scroll_depth', { percent_scrolled: depth });
+      });
+    }
+
+    if (this.settings.readCompletion && progress >= 100 && !this.readSent && !this.readTimer) {
+      // Reaching the end by skimming is not reading it: wait out the rest
+      // of a quarter of the reading time
+      const minutes = parseFloat(this.article.dataset.readingTime) || 0;
+      const wait = minutes * 60000 * READ_FRACTION - (Date.now() - this.startedAt);
+      this.readTimer = setTimeout(() => this.readComplete(minutes), Math.max(0, wait));
+    }
+  }
+
+  readComplete(minutes) {
+    this.readSent = true;
+    this.analytics.track('read_complete', {
+      content_id: this.article.dataset.analyticsArticle,
+      content_type: this.article.dataset.analyticsType,
+      reading_time: minutes
+    });
+  }
+}
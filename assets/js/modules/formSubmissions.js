@@ -0,0 +1,263 @@
+// Form submission module
+// Sends contact and newsletter forms to their endpoint as JSON or form data.
+// Submissions that fail for lack of a connection are kept in IndexedDB and
+// replayed by the service worker's Background Sync, or by the page on the
+// next `online` event in browsers without it.
+
+import { NEWSLETTER_PROVIDERS, encodeRequest } from './newsletterProviders.js';
+
+export const FORM_SYNC_TAG = 'form-submissions';
+
+// Posted by the service worker to open pages after it delivers queued forms
+export const FORM_SYNCED_MESSAGE = 'FORM_SUBMISSIONS_SENT';
+
+const DB_NAME = 'theme-forms';
+const DB_VERSION = 1;
+const STORE = 'submissions';
+
+// The endpoint rejected the submission itself; sending it again will not help
+export class FormRejectedError extends Error {
+  constructor(status) {
+    super(`Form endpoint rejected the submission (${status})`);
+    this.name = 'FormRejectedError';
+    this.status = status;
+  }
+}
+
+// Submissions waiting for a connection. Usable from pages and the service
+// worker alike.
+export class FormQueue {
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  add(submission) {
+    return this.transaction('readwrite', store => store.add({ ...submission, queuedAt: Date.now() }));
+  }
+
+  all() {
+    return this.transaction('readonly', store => store.getAll());
+  }
+
+  delete(id) {
+    return this.transaction('readwrite', store => store.delete(id));
+  }
+
+  // Sends every queued submission in the order they were made. Delivered and
+  // rejected ones leave the queue; the rest stay for the next attempt, and
+  // the returned promise rejects so Background Sync retries later.
+  async replay() {
+    const submissions = await this.all();
+    const sent = [];
+    let pending = 0;
+
+    for (const submission of submissions) {
+      try {
+        await sendSubmission(submission);
+        sent.push(submission);
+        await this.delete(submission.id);
+      } catch (error) {
+        if (error instanceof FormRejectedError) {
+          console.warn('Dropping queued form submission:', error.message);
+          await this.delete(submission.id);
+        } else {
+          pending++;
+        }
+      }
+    }
+
+    if (pending > 0) {
+      const error = new Error(`${pending} form submission(s) still waiting for a connection`);
+      error.sent = sent;
+      throw error;
+    }
+    return sent;
+  }
+
+  async transaction(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = operation(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+// Submission record: { kind, url, encoding: 'json' | 'form', fields }, plus
+// { provider, doubleOptIn } for newsletters (see newsletterProviders.js).
+// Resolves with 'sent', or 'pending' when the reader still has to confirm.
+export function sendSubmission(submission) {
+  const adapter = NEWSLETTER_PROVIDERS[submission.provider];
+  const request = adapter
+    ? adapter.request(submission)
+    : encodeRequest(submission.url, submission.encoding, submission.fields);
+
+  return fetch(request.url, request.init)
+    .then(response => {
+      // no-cors answers carry no status to check
+      if (response.type !== 'opaque') {
+        // Timeouts and rate limits are worth retrying; other client errors are not
+        if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+          throw new FormRejectedError(response.status);
+        }
+        if (!response.ok) {
+          throw new Error(`Form endpoint failed (${response.status})`);
+        }
+      }
+
+      return adapter ? adapter.parse(response, submission) : 'sent';
+    })
+    .then(state => {
+      if (state === 'rejected') {
+        throw new FormRejectedError(200);
+      }
+      return state;
+    });
+}
+
+// Page side: submits forms marked with data-form. onDelivered(kind) is
+// called when a queued submission finally goes through.
+export class FormSubmitter {
+  constructor({ onDelivered } = {}) {
+    this.onDelivered = onDelivered || (() => {});
+    this.queue = FormQueue.isSupported() ? new FormQueue() : null;
+  }
+
+  // Collects a form's fields and endpoint from the attributes written by
+  // helpers/form-settings.html
+  static submissionFor(form) {
+    const honeypot = form.querySelector('[data-honeypot]');
+    const fields = {};
+    new FormData(form).forEach((value, name) => {
+      if (typeof value === 'string' && !(honeypot && name === honeypot.name)) {
+        fields[name] = value;
+      }
+    });
+    // Netlify Forms tells forms apart by this field
+    if (form.hasAttribute('data-netlify')) {
+      fields['form-name'] = form.getAttribute('name');
+    }
+
+    const submission = {
+      kind: form.dataset.form,
+      url: form.dataset.formEndpoint || form.action,
+      encoding: form.dataset.formEncoding === 'form' ? 'form' : 'json',
+      fields
+    };
+    if (form.dataset.newsletterProvider) {
+      submission.provider = form.dataset.newsletterProvider;
+      submission.doubleOptIn = form.dataset.doubleOptIn === 'true';
+    }
+    return submission;
+  }
+
+  // Filled in only by bots, since people never see the field
+  static isSpam(form) {
+    const honeypot = form.querySelector('[data-honeypot]');
+    return Boolean(honeypot && honeypot.value);
+  }
+
+  // A ticked consent checkbox is kept with the reader's other privacy choices
+  // (stored by ThemePrivacy when params.privacy.cookieConsent is on)
+  static recordConsent(form) {
+    const consent = form.querySelector('[data-consent]');
+    if (consent && consent.checked && window.ThemePrivacy) {
+      window.ThemePrivacy.setConsent(form.dataset.form, true);
+    }
+  }
+
+  init() {
+    if (!this.queue) return;
+
+    // Without Background Sync (or a service worker to run it) the page retries
+    if (!FormSubmitter.hasBackgroundSync() || !navigator.serviceWorker.controller) {
+      window.addEventListener('online', () => this.replay());
+      if (navigator.onLine) this.replay();
+    }
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === FORM_SYNCED_MESSAGE) {
+          event.data.kinds.forEach(kind => this.onDelivered(kind));
+        }
+      });
+    }
+  }
+
+  static hasBackgroundSync() {
+    return 'serviceWorker' in navigator && 'SyncManager' in window;
+  }
+
+  // Resolves with 'sent', 'pending' (waiting for the reader to confirm by
+  // email), 'queued' or 'failed'
+  async submit(form) {
+    // Bots are told it worked and nothing is sent
+    if (FormSubmitter.isSpam(form)) return 'sent';
+
+    const submission = FormSubmitter.submissionFor(form);
+    FormSubmitter.recordConsent(form);
+
+    try {
+      return await sendSubmission(submission);
+    } catch (error) {
+      if (error instanceof FormRejectedError || !this.queue) {
+        console.error('Form submission failed:', error);
+        return 'failed';
+      }
+    }
+
+    try {
+      await this.queue.add(submission);
+      await this.scheduleSync();
+      return 'queued';
+    } catch (error) {
+      console.error('Could not queue form submission:', error);
+      return 'failed';
+    }
+  }
+
+  async scheduleSync() {
+    try {
+      const registration = FormSubmitter.hasBackgroundSync() && await navigator.serviceWorker.getRegistration();
+      if (registration && registration.active) {
+        await registration.sync.register(FORM_SYNC_TAG);
+        return;
+      }
+    } catch (error) {
+      // Sync can be refused, e.g. by permissions
+    }
+
+    window.addEventListener('online', () => this.replay(), { once: true });
+  }
+
+  async replay() {
+    if (this.replaying) return;
+    this.replaying = true;
+
+    try {
+      const sent = await this.queue.replay();
+      sent.forEach(submission => this.onDelivered(submission.kind));
+    } catch (error) {
+      (error.sent || []).forEach(submission => this.onDelivered(submission.kind));
+    } finally {
+      this.replaying = false;
+    }
+  }
+}
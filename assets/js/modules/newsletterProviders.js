@@ -0,0 +1,79 @@
+// Newsletter provider adapters
+// Turn a newsletter submission into the request each service's embed form
+// expects, and its answer into 'sent' or 'pending' (the provider emails the
+// reader to confirm first). Used by sendSubmission() in formSubmissions.js,
+// from the page and from the service worker.
+
+// Builds a POST request for fields sent as JSON or URL-encoded form data
+export function encodeRequest(url, encoding, fields, init = {}) {
+  const json = encoding === 'json';
+
+  return {
+    url,
+    init: {
+      method: 'POST',
+      headers: {
+        'Content-Type': json ? 'application/json' : 'application/x-www-form-urlencoded',
+        // Formspree and similar services answer with JSON instead of redirecting
+        Accept: 'application/json'
+      },
+      body: json ? JSON.stringify(fields) : new URLSearchParams(fields).toString(),
+      ...init
+    }
+  };
+}
+
+function optInState(submission) {
+  return submission.doubleOptIn ? 'pending' : 'sent';
+}
+
+// Mailchimp and Buttondown embed forms do not allow cross-origin reads, so
+// they are posted in no-cors mode. Their answer cannot be inspected; a
+// request that reaches them counts as sent.
+const OPAQUE = { mode: 'no-cors' };
+
+export const NEWSLETTER_PROVIDERS = {
+  // Action of the embedded form: https://<dc>.list-manage.com/subscribe/post?u=...&id=...
+  mailchimp: {
+    request(submission) {
+      const params = new URL(submission.url).searchParams;
+      const fields = { EMAIL: submission.fields.email };
+      // Mailchimp's own honeypot; it expects the field to be present and empty
+      fields[`b_${params.get('u')}_${params.get('id')}`] = '';
+      return encodeRequest(submission.url, 'form', fields, OPAQUE);
+    },
+    parse: (response, submission) => optInState(submission)
+  },
+
+  // https://buttondown.com/api/emails/embed-subscribe/<username>
+  buttondown: {
+    request: submission => encodeRequest(submission.url, 'form', {
+      email: submission.fields.email,
+      embed: '1'
+    }, OPAQUE),
+    parse: (response, submission) => optInState(submission)
+  },
+
+  // https://app.convertkit.com/forms/<form id>/subscriptions
+  convertkit: {
+    request: submission => encodeRequest(submission.url, 'form', {
+      email_address: submission.fields.email
+    }),
+    parse(response, submission) {
+      return response.json()
+        .catch(() => ({}))
+        .then(data => (data.status === 'success' ? optInState(submission) : 'rejected'));
+    }
+  },
+
+  // Any endpoint taking the form's fields, encoded as params.forms says. It
+  // may answer { "status": "pending" } when it asks the reader to confirm.
+  webhook: {
+    request: submission => encodeRequest(submission.url, submission.encoding, submission.fields),
+    parse(response, submission) {
+      return response.json()
+        .catch(() => ({}))
+        .then(data => (data && data.status === 'pending' ? 'pending' : optInState(submission)));
+    }
+  }
+};
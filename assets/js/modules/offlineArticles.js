@@ -0,0 +1,170 @@
+// Offline articles
+// Articles the reader saves for offline reading, kept in their own Cache
+// Storage cache together with the images, stylesheets and scripts they need.
+// The service worker (assets/js/serviceWorker.js) serves them when the
+// network is unavailable, and the offline page (layouts/index.offline.html)
+// lists and searches them.
+//
+// The cache is the only record: each saved page response carries the time it
+// was saved and the assets saved with it in extra headers.
+
+// Keep in sync with OFFLINE_CACHE in assets/js/serviceWorker.js
+export const OFFLINE_CACHE = 'offline-articles';
+
+const SAVED_AT_HEADER = 'X-Offline-Saved-At';
+const ASSETS_HEADER = 'X-Offline-Assets';
+
+export class OfflineArticles {
+  static isSupported() {
+    return typeof window !== 'undefined' && 'caches' in window && 'serviceWorker' in navigator;
+  }
+
+  // Page URLs are stored without query string or hash
+  static pageURL(url) {
+    const parsed = new URL(url, window.location.href);
+    return parsed.origin + parsed.pathname;
+  }
+
+  // Same-origin stylesheets and scripts plus every image in the article
+  static collectAssets(root = document) {
+    const urls = new Set();
+    const add = (url) => {
+      if (!url || url.startsWith('data:') || url.startsWith('blob:')) return;
+      urls.add(new URL(url, window.location.href).href);
+    };
+
+    root.querySelectorAll('article img').forEach(img => {
+      add(img.currentSrc);
+      add(img.getAttribute('src'));
+      add(img.dataset.src);
+    });
+    document.querySelectorAll('link[rel="stylesheet"][href], script[src]').forEach(element => {
+      const url = new URL(element.href || element.src, window.location.href);
+      if (url.origin === window.location.origin) add(url.href);
+    });
+
+    return Array.from(urls);
+  }
+
+  async open() {
+    return caches.open(OFFLINE_CACHE);
+  }
+
+  async isSaved(url) {
+    const cache = await this.open();
+    return Boolean(await cache.match(OfflineArticles.pageURL(url)));
+  }
+
+  // Save a page and its assets. A page that cannot be fetched fails the
+  // save; assets that cannot are skipped.
+  async save(url, assets = []) {
+    const pageURL = OfflineArticles.pageURL(url);
+    const cache = await this.open();
+
+    const response = await fetch(pageURL, { credentials: 'same-origin' });
+    if (!response.ok) {
+      throw new Error(`Failed to save ${pageURL}: ${response.status} ${response.statusText}`);
+    }
+
+    const saved = await Promise.all(assets.map(asset => this.saveAsset(cache, asset)));
+    const savedAssets = assets.filter((asset, index) => saved[index]);
+
+    const headers = new Headers(response.headers);
+    headers.set(SAVED_AT_HEADER, new Date().toISOString());
+    headers.set(ASSETS_HEADER, JSON.stringify(savedAssets));
+    await cache.put(pageURL, new Response(await response.blob(), {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    }));
+
+    return { url: pageURL, assets: savedAssets };
+  }
+
+  async saveAsset(cache, url) {
+    try {
+      const crossOrigin = new URL(url).origin !== window.location.origin;
+      // Cross-origin images are stored as opaque responses
+      const response = await fetch(url, crossOrigin ? { mode: 'no-cors' } : {});
+      if (!crossOrigin && !response.ok) return false;
+      await cache.put(url, response);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Remove a page and the assets no other saved page still uses
+  async remove(url) {
+    const pageURL = OfflineArticles.pageURL(url);
+    const cache = await this.open();
+    const response = await cache.match(pageURL);
+    if (!response) return false;
+
+    const assets = readAssets(response);
+    await cache.delete(pageURL);
+
+    const stillUsed = new Set();
+    const others = await this.savedResponses(cache);
+    others.forEach(({ response: other }) => readAssets(other).forEach(asset => stillUsed.add(asset)));
+    await Promise.all(assets.filter(asset => !stillUsed.has(asset)).map(asset => cache.delete(asset)));
+    return true;
+  }
+
+  async savedResponses(cache) {
+    const requests = await cache.keys();
+    const entries = await Promise.all(requests.map(async request => ({
+      url: request.url,
+      response: await cache.match(request)
+    })));
+    return entries.filter(({ response }) => response && response.headers.has(SAVED_AT_HEADER));
+  }
+
+  // Saved articles, most recently saved first, as index.json-shaped entries
+  // (title, summary, content, date, relpermalink...) read from the saved HTML
+  async list() {
+    const cache = await this.open();
+    const entries = await this.savedResponses(cache);
+    const articles = await Promise.all(entries.map(async ({ url, response }) => ({
+      ...parseArticle(await response.text(), url),
+      savedAt: response.headers.get(SAVED_AT_HEADER)
+    })));
+    return articles.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+  }
+}
+
+function readAssets(response) {
+  try {
+    const assets = JSON.parse(response.headers.get(ASSETS_HEADER) || '[]');
+    return Array.isArray(assets) ? assets : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function parseArticle(html, url) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const article = doc.querySelector('article') || doc.body;
+  article.querySelectorAll('script, style, noscript').forEach(element => element.remove());
+  const meta = (selector) => {
+    const element = doc.querySelector(selector);
+    return element ? element.getAttribute('content') || '' : '';
+  };
+  const heading = article.querySelector('h1');
+  const time = article.querySelector('time[datetime]');
+  const image = article.querySelector('img[src]');
+  const parsed = new URL(url);
+
+  return {
+    title: (heading ? heading.textContent : doc.title).trim(),
+    summary: meta('meta[name="description"]') || meta('meta[property="og:description"]'),
+    content: article.textContent.replace(/\s+/g, ' ').trim(),
+    date: time ? time.getAttribute('datetime') : '',
+    permalink: parsed.href,
+    relpermalink: parsed.pathname,
+    image: image ? new URL(image.getAttribute('src'), url).href : '',
+    categories: [],
+    tags: [],
+    author: meta('meta[name="author"]')
+  };
+}
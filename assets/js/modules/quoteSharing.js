@@ -0,0 +1,255 @@
+// Quote sharing module
+// Shows a small toolbar (layouts/partials/content/quote-share.html) over
+// text selected in the article. It copies a link to the passage or shares
+// the quote through the networks set up in footer/social-share.html. The
+// link is a text fragment (#:~:text=) that browsers scroll to and highlight
+// themselves. It also carries a ?highlight= parameter, because some browsers
+// have no text fragments and some share services drop the #fragment. When
+// the browser has not highlighted the passage itself, this module does.
+
+const PARAM = 'highlight';
+const HIGHLIGHT = 'shared-quote';
+
+// Selections up to this many words go into the link whole; longer ones as
+// their first and last words
+const MAX_WORDS = 8;
+const EDGE_WORDS = 4;
+
+// A text directive term: percent-encoded, including "-" and "," which the
+// directive uses itself
+function encodeTerm(text) {
+  return encodeURIComponent(text).replace(/-/g, '%2D');
+}
+
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+export class QuoteSharing {
+  // copy(url) puts the link on the clipboard and tells the reader;
+  // scrollTo(element) brings the highlighted passage into view
+  constructor({
+    copy = url => window.copyToClipboard(url),
+    scrollTo = element => element.scrollIntoView({ block: 'center' })
+  } = {}) {
+    this.copy = copy;
+    this.scrollTo = scrollTo;
+    this.content = document.querySelector('[data-quote-content]');
+    this.toolbar = document.querySelector('[data-quote-share]');
+    this.share = document.querySelector('[data-social-share]');
+    this.quote = null;
+  }
+
+  init() {
+    if (!this.content || !this.toolbar) return;
+
+    this.highlightFromUrl();
+
+    // Positioned against the page rather than the article
+    document.body.appendChild(this.toolbar);
+    this.addNetworks();
+
+    // Keeps the selection while the toolbar's buttons are pressed
+    this.toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+
+    this.toolbar.querySelector('[data-quote-copy]').addEventListener('click', () => {
+      if (this.quote) this.copy(this.quote.url);
+      this.hide();
+    });
+
+    const check = () => requestAnimationFrame(() => this.checkSelection());
+    document.addEventListener('mouseup', check);
+    document.addEventListener('keyup', (e) => {
+      if (e.key === 'Escape') {
+        this.hide();
+      } else {
+        check();
+      }
+    });
+    document.addEventListener('touchend', check);
+    document.addEventListener('selectionchange', () => {
+      if (this.quote && window.getSelection().isCollapsed) this.hide();
+    });
+    window.addEventListener('resize', () => this.hide(), { passive: true });
+  }
+
+  // One icon button per share link in the footer, using its template
+  addNetworks() {
+    const list = this.toolbar.querySelector('[data-quote-networks]');
+    if (!list || !this.share) return;
+
+    this.share.querySelectorAll('[data-share-template]').forEach(source => {
+      const link = document.createElement('a');
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.className = 'inline-flex items-center justify-center p-2 rounded-md text-background/80 hover:text-background hover:bg-background/10 focus:outline-none focus:ring-2 focus:ring-primary';
+      link.setAttribute('aria-label', source.getAttribute('aria-label'));
+      link.title = source.getAttribute('aria-label');
+      link.dataset.shareTemplate = source.dataset.shareTemplate;
+      if (source.dataset.trackEvent) {
+        // Reported like the footer's button, as a shared quote
+        link.dataset.trackEvent = source.dataset.trackEvent;
+        link.dataset.trackMethod = source.dataset.trackMethod;
+        link.dataset.trackContentType = 'quote';
+        link.dataset.trackItemId = source.dataset.trackItemId;
+      }
+
+      const icon = source.querySelector('svg');
+      if (icon) {
+        const clone = icon.cloneNode(true);
+        clone.classList.remove('mr-2');
+        link.appendChild(clone);
+      }
+
+      link.addEventListener('click', () => this.hide());
+      list.appendChild(link);
+    });
+  }
+
+  checkSelection() {
+    const selection = window.getSelection();
+    if (selection.isCollapsed || selection.rangeCount === 0) {
+      this.hide();
+      return;
+    }
+
+    const range = selection.getRangeAt(0);
+    const text = normalize(selection.toString());
+    if (!this.content.contains(range.commonAncestorContainer) || text.length < 3) {
+      this.hide();
+      return;
+    }
+
+    this.show(range, text);
+  }
+
+  show(range, text) {
+    const url = this.urlFor(text);
+    const title = this.share ? this.share.dataset.shareTitle : document.title;
+    this.quote = { url, text };
+
+    this.toolbar.querySelectorAll('[data-share-template]').forEach(link => {
+      link.href = link.dataset.shareTemplate
+        .replace('{url}', encodeURIComponent(url))
+        .replace('{title}', encodeURIComponent(`“${text}” – ${title}`));
+    });
+
+    this.toolbar.hidden = false;
+
+    // Above the selection, or below it when it is close to the top
+    const rect = range.getBoundingClientRect();
+    const width = this.toolbar.offsetWidth;
+    const height = this.toolbar.offsetHeight;
+    const below = rect.top < height + 80;
+    const top = (below ? rect.bottom + 8 : rect.top - height - 8) + window.pageYOffset;
+    const center = rect.left + rect.width / 2 - width / 2;
+    const left = Math.min(Math.max(center, 8), document.documentElement.clientWidth - width - 8) + window.pageXOffset;
+
+    this.toolbar.style.top = `${top}px`;
+    this.toolbar.style.left = `${left}px`;
+  }
+
+  hide() {
+    this.quote = null;
+    this.toolbar.hidden = true;
+  }
+
+  // The article's address with the passage as a text fragment and as the
+  // highlight parameter
+  urlFor(text) {
+    const base = this.share ? this.share.dataset.shareUrl : window.location.href;
+    const url = new URL(base, window.location.href);
+    const directive = this.directiveFor(text);
+
+    // Already encoded, so both take the directive as it is
+    url.search = `${url.search ? `${url.search}&` : '?'}${PARAM}=${directive}`;
+    url.hash = `${url.hash}:~:text=${directive}`;
+    return url.href;
+  }
+
+  directiveFor(text) {
+    const words = text.split(' ');
+    if (words.length <= MAX_WORDS) return encodeTerm(text);
+
+    return `${encodeTerm(words.slice(0, EDGE_WORDS).join(' '))},${encodeTerm(words.slice(-EDGE_WORDS).join(' '))}`;
+  }
+
+  // Browsers with text fragments find the passage from the #fragment
+  // themselves and hide it from location.hash. They are left to it when the
+  // address still shows the directive or the page has already scrolled to
+  // the passage; otherwise (no support, or only the parameter survived) it
+  // is found and highlighted here.
+  highlightFromUrl() {
+    if ('fragmentDirective' in document) {
+      const navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+      if ((navigation && navigation.name.includes(':~:text=')) || window.pageYOffset > 0) return;
+    }
+
+    const match = window.location.hash.match(/:~:text=([^&]+)/) ||
+      window.location.search.match(new RegExp(`[?&]${PARAM}=([^&]+)`));
+    if (!match) return;
+
+    const range = this.find(match[1]);
+    if (!range) return;
+
+    if (window.CSS && CSS.highlights && window.Highlight) {
+      CSS.highlights.set(HIGHLIGHT, new Highlight(range));
+    } else {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    const element = range.startContainer.parentElement;
+    if (element) this.scrollTo(element);
+  }
+
+  // A range over the first passage that starts with the directive's start
+  // term and, if it has one, ends with its end term. Matching ignores case
+  // and differences in white space, as browsers do.
+  find(directive) {
+    let terms;
+    try {
+      terms = directive.split(',').map(term => normalize(decodeURIComponent(term)).toLowerCase());
+    } catch (e) {
+      return null;
+    }
+    // Context terms ("prefix-" and "-suffix") from other sites' links are not used
+    terms = terms.filter(term => term && !term.endsWith('-') && !term.startsWith('-'));
+    if (terms.length === 0) return null;
+
+    // The article's text with white space collapsed, and where each of its
+    // characters came from
+    let text = '';
+    const positions = [];
+    const walker = document.createTreeWalker(this.content, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      for (let i = 0; i < node.data.length; i++) {
+        const space = /\s/.test(node.data[i]);
+        if (space && (text === '' || text.endsWith(' '))) continue;
+
+        // A few characters lower-case to more than one
+        const character = space ? ' ' : node.data[i].toLowerCase();
+        text += character;
+        for (let j = 0; j < character.length; j++) positions.push([node, i]);
+      }
+    }
+
+    const [start, end] = terms;
+    const from = text.indexOf(start);
+    if (from === -1) return null;
+
+    let to = from + start.length;
+    if (end) {
+      const index = text.indexOf(end, to);
+      if (index === -1) return null;
+      to = index + end.length;
+    }
+
+    const range = document.createRange();
+    range.setStart(...positions[from]);
+    const [node, offset] = positions[to - 1];
+    range.setEnd(node, offset + 1);
+    return range;
+  }
+}
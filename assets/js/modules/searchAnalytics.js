@@ -0,0 +1,156 @@
+// Search analytics
+// Opt-in record of what readers search for: the query, how many results it
+// found (zero-result queries are the interesting ones) and which result,
+// if any, was clicked. Events are batched to `params.search.analytics.endpoint`
+// with navigator.sendBeacon and forwarded as `search` events, plus
+// `view_search_results` when there were results, through
+// window.ThemeAnalytics to the analytics providers. Nothing is recorded without analytics consent or when Do Not Track is set (see
+// layouts/partials/privacy/consent-manager.html).
+// scripts/searchAnalyticsReport.js turns collected batches into a report.
+
+// A query counts once the reader stops typing for this long, so "hu", "hug"
+// and "hugo" are logged as a single search for "hugo"
+const SETTLE_DELAY = 1000;
+const MAX_QUERY_LENGTH = 100;
+
+export class SearchAnalytics {
+  constructor(options = {}) {
+    this.enabled = Boolean(options.enabled);
+    this.endpoint = options.endpoint || null;
+    this.batchSize = options.batchSize || 10;
+    this.queue = [];
+    // source -> { event, timer } for the search still being typed
+    this.pendingSearches = new Map();
+
+    if (this.enabled) {
+      this.init();
+    }
+  }
+
+  init() {
+    // sendBeacon keeps working while the page unloads, which is when most
+    // batches (and every result click) get sent
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    });
+    window.addEventListener('pagehide', () => this.flush());
+
+    const privacy = window.ThemePrivacy;
+    if (privacy && typeof privacy.on === 'function') {
+      ['consentRevoked', 'allConsentRevoked', 'allConsentCleared'].forEach(event => {
+        privacy.on(event, () => this.discard());
+      });
+    }
+  }
+
+  isAllowed() {
+    if (!this.enabled) return false;
+
+    const privacy = window.ThemePrivacy;
+    if (privacy && typeof privacy.getConsent === 'function') {
+      // getConsent() already answers false under Do Not Track
+      return privacy.getConsent('analytics') === true;
+    }
+
+    const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    return dnt !== '1' && dnt !== 'yes';
+  }
+
+  // A search and its result count. `source` is where it was typed: the
+  // search page, the header quick search or the command palette.
+  recordSearch(query, resultCount, source = 'page') {
+    query = cleanQuery(query);
+    if (!query || !this.isAllowed()) return;
+
+    const pending = this.pendingSearches.get(source);
+    if (pending) clearTimeout(pending.timer);
+
+    const event = {
+      type: 'search',
+      query,
+      results: resultCount,
+      source,
+      language: document.documentElement.lang || '',
+      timestamp: Date.now()
+    };
+    const timer = setTimeout(() => this.settleSearch(source), SETTLE_DELAY);
+    this.pendingSearches.set(source, { event, timer });
+  }
+
+  // A click on the result at `position` (1-based) for `query`
+  recordClick(query, position, url, source = 'page') {
+    query = cleanQuery(query);
+    if (!query || !this.isAllowed()) return;
+
+    // The click proves the search it came from was a real one
+    this.settleSearch(source);
+    this.enqueue({
+      type: 'click',
+      query,
+      position,
+      url,
+      source,
+      language: document.documentElement.lang || '',
+      timestamp: Date.now()
+    });
+  }
+
+  settleSearch(source) {
+    const pending = this.pendingSearches.get(source);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingSearches.delete(source);
+    this.enqueue(pending.event);
+    this.forwardToAnalytics(pending.event);
+  }
+
+  enqueue(event) {
+    this.queue.push(event);
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  forwardToAnalytics(event) {
+    if (!window.ThemeAnalytics) return;
+
+    const props = {
+      search_term: event.query,
+      result_count: event.results
+    };
+    window.ThemeAnalytics.track('search', props);
+    // A search that found nothing has no results page to report
+    if (event.results > 0) {
+      window.ThemeAnalytics.track('view_search_results', props);
+    }
+  }
+
+  flush() {
+    Array.from(this.pendingSearches.keys()).forEach(source => this.settleSearch(source));
+    if (this.queue.length === 0) return;
+
+    const events = this.queue;
+    this.queue = [];
+    if (!this.endpoint || !this.isAllowed()) return;
+
+    // text/plain keeps a cross-origin beacon a simple request (no preflight)
+    const body = JSON.stringify({ events });
+    const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+    if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, blob)) return;
+
+    fetch(this.endpoint, { method: 'POST', body, keepalive: true, credentials: 'omit' })
+      .catch(error => console.warn('Search analytics: failed to send events:', error));
+  }
+
+  // Consent withdrawn: drop whatever has not been sent yet
+  discard() {
+    this.pendingSearches.forEach(({ timer }) => clearTimeout(timer));
+    this.pendingSearches.clear();
+    this.queue = [];
+  }
+}
+
+function cleanQuery(query) {
+  return String(query || '').trim().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH);
+}
@@ -0,0 +1,180 @@
+// Search client
+// Promise-based front end for the search worker (searchWorker.js). Each
+// search belongs to a channel (the quick-search dropdown, the search page,
+// the command palette); a new search cancels the unfinished one on its
+// channel, and the cancelled promise rejects with an AbortError.
+// Without worker support the same API runs SearchIndex on the main thread.
+
+import { SearchIndex } from './searchIndex.js';
+import SearchCore from './searchCore.js';
+
+export function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+function abortError() {
+  const error = new Error('Search cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+export class SearchClient {
+  constructor(options = {}) {
+    this.workerURL = options.workerURL;
+    this.indexOptions = {
+      indexURL: options.indexURL,
+      fallbackURL: options.fallbackURL,
+      matching: options.matching
+    };
+
+    this.worker = null;
+    this.localIndex = null;
+    this.nextId = 1;
+    // request id -> { resolve, reject, message }, channel -> request id
+    this.pending = new Map();
+    this.channels = new Map();
+    // Main-thread searches: request id -> AbortController
+    this.controllers = new Map();
+    this.loadingPromise = null;
+    this.workerStarted = false;
+  }
+
+  // The worker starts with the first load or search, so pages nobody
+  // searches on never fetch it
+  startWorker() {
+    if (this.workerStarted) return;
+    this.workerStarted = true;
+    if (!this.workerURL || typeof Worker === 'undefined') return;
+
+    try {
+      this.worker = new Worker(this.workerURL);
+      this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+      this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
+      this.worker.postMessage({ type: 'init', options: this.indexOptions });
+    } catch (error) {
+      console.warn('Search worker unavailable, searching on the main thread:', error);
+      this.worker = null;
+    }
+  }
+
+  // Requests still waiting when the worker dies are replayed on the main thread
+  handleWorkerError(event) {
+    console.warn('Search worker failed, searching on the main thread:', event.message || event);
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.loadingPromise = null;
+
+    const waiting = Array.from(this.pending.values());
+    this.pending.clear();
+    waiting.forEach(({ message, resolve, reject }) => {
+      const result = message.type === 'load'
+        ? this.getLocalIndex().load()
+        : this.searchLocally(message.id, message.channel, message.query, message.options);
+      result.then(resolve, reject);
+    });
+  }
+
+  handleMessage(message) {
+    const request = this.pending.get(message.id);
+    if (!request) return;
+    this.pending.delete(message.id);
+    this.releaseChannel(request.message);
+
+    if (message.type === 'error') {
+      const error = new Error(message.error.message);
+      error.name = message.error.name;
+      request.reject(error);
+    } else {
+      request.resolve(message.type === 'results' ? message.results : undefined);
+    }
+  }
+
+  request(message) {
+    return new Promise((resolve, reject) => {
+      this.pending.set(message.id, { resolve, reject, message });
+      this.worker.postMessage(message);
+    });
+  }
+
+  getLocalIndex() {
+    if (!this.localIndex) {
+      this.localIndex = new SearchIndex(this.indexOptions);
+    }
+    return this.localIndex;
+  }
+
+  // Fetch and parse the index ahead of the first search
+  load() {
+    this.startWorker();
+    if (!this.loadingPromise) {
+      this.loadingPromise = (this.worker
+        ? this.request({ type: 'load', id: this.nextId++ })
+        : this.getLocalIndex().load()
+      ).then(() => this, (error) => {
+        this.loadingPromise = null;
+        throw error;
+      });
+    }
+    return this.loadingPromise;
+  }
+
+  // Resolves with ranked results, each with `highlights.title` and
+  // `highlights.summary` HTML
+  search(query, { limit = 10, channel = 'default' } = {}) {
+    this.startWorker();
+    this.cancel(this.channels.get(channel));
+
+    const id = this.nextId++;
+    const options = { limit };
+    this.channels.set(channel, id);
+
+    if (this.worker) {
+      return this.request({ type: 'search', id, channel, query, options });
+    }
+    return this.searchLocally(id, channel, query, options);
+  }
+
+  searchLocally(id, channel, query, options) {
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+    this.channels.set(channel, id);
+
+    return this.getLocalIndex()
+      .search(query, { ...options, signal: controller.signal })
+      .then(results => {
+        if (controller.signal.aborted) throw abortError();
+        return results.map(result => ({ ...result, highlights: SearchCore.highlightResult(result, query) }));
+      })
+      .finally(() => {
+        this.controllers.delete(id);
+        this.releaseChannel({ id, channel });
+      });
+  }
+
+  // Settle a search right away as cancelled; the worker (or the main-thread
+  // search) then stops before scoring if it has not got there yet
+  cancel(id) {
+    if (id === undefined) return;
+
+    const request = this.pending.get(id);
+    if (request) {
+      this.pending.delete(id);
+      this.releaseChannel(request.message);
+      request.reject(abortError());
+      this.worker.postMessage({ type: 'cancel', id });
+    }
+
+    const controller = this.controllers.get(id);
+    if (controller) {
+      controller.abort();
+    }
+  }
+
+  releaseChannel({ id, channel }) {
+    if (channel !== undefined && this.channels.get(channel) === id) {
+      this.channels.delete(channel);
+    }
+  }
+}
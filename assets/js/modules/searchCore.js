@@ -0,0 +1,364 @@
+// Search core module
+// Tokenization, indexing and BM25 ranking shared by the browser search client
+// and the Node build step (scripts/buildSearchIndex.js). Kept free of DOM and
+// module syntax so both environments can load it.
+
+(function(root) {
+  'use strict';
+
+  const HanVariants = typeof module !== 'undefined' && module.exports
+    ? require('./hanVariants.js')
+    : root.HanVariants;
+
+  // BM25 tuning parameters
+  const BM25 = {
+    k1: 1.2,
+    b: 0.75
+  };
+
+  // How much a term occurrence in each field counts towards its frequency
+  const FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    categories: 2,
+    content: 1
+  };
+
+  const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+    'has', 'have', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that',
+    'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+    'were', 'will', 'with'
+  ]);
+
+  // Han runs are matched separately from other words: Chinese is written
+  // without spaces, so a run is indexed as overlapping bigrams instead
+  const TOKEN_PATTERN = /\p{Script=Han}+|(?:(?!\p{Script=Han})[\p{L}\p{N}])+/gu;
+  const HAN_PATTERN = /\p{Script=Han}/u;
+  const HAN_CHARACTERS = /\p{Script=Han}/gu;
+
+  // Traditional character -> Simplified, and Simplified -> every spelling
+  const TO_SIMPLIFIED = new Map();
+  const HAN_SPELLINGS = new Map();
+  if (HanVariants) {
+    Array.from(HanVariants.TRADITIONAL).forEach((traditional, i) => {
+      const simplified = HanVariants.SIMPLIFIED[i];
+      TO_SIMPLIFIED.set(traditional, simplified);
+      HAN_SPELLINGS.set(simplified, (HAN_SPELLINGS.get(simplified) || simplified) + traditional);
+    });
+  }
+
+  // Default typo tolerance and completion behaviour (params.search)
+  const DEFAULT_MATCHING = {
+    fuzzy: true,
+    fuzzyDistance: 2,
+    prefixSearch: true
+  };
+
+  // Upper bound on index terms a single query term may expand to
+  const MAX_EXPANSIONS = 20;
+
+  // Lowercase, strip diacritics and fold Traditional Chinese onto Simplified
+  // so "Café" and "cafe", or "資料" and "资料", share a term
+  function normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(HAN_CHARACTERS, character => TO_SIMPLIFIED.get(character) || character);
+  }
+
+  function isHan(token) {
+    return HAN_PATTERN.test(token);
+  }
+
+  // "搜索引擎" -> ["搜索", "索引", "引擎"]; a lone character is kept as is
+  function hanBigrams(run) {
+    const characters = Array.from(run);
+    if (characters.length === 1) {
+      return characters;
+    }
+    const bigrams = [];
+    for (let i = 0; i < characters.length - 1; i++) {
+      bigrams.push(characters[i] + characters[i + 1]);
+    }
+    return bigrams;
+  }
+
+  function tokenize(text) {
+    const tokens = [];
+    (normalize(text).match(TOKEN_PATTERN) || []).forEach(token => {
+      if (isHan(token)) {
+        tokens.push(...hanBigrams(token));
+      } else if (token.length > 1 && !STOP_WORDS.has(token)) {
+        tokens.push(token);
+      }
+    });
+    return tokens;
+  }
+
+  // Every spelling of a normalized Han character ("发" -> "发發髮"), for
+  // matching index terms against the original text when highlighting
+  function hanSpellings(character) {
+    return HAN_SPELLINGS.get(character) || character;
+  }
+
+  // Terms are sharded by their first character so a query only needs the
+  // shards for the letters its terms start with. Han bigram vocabularies are
+  // much larger than the Latin ones, so they are spread over more shards.
+  function shardKeyFor(term) {
+    const first = term.charAt(0);
+    if (/[a-z0-9]/.test(first)) {
+      return first;
+    }
+    const codePoint = term.codePointAt(0);
+    if (isHan(first)) {
+      return '_' + (codePoint % 256).toString(16).padStart(2, '0');
+    }
+    return '_' + (codePoint % 16).toString(16);
+  }
+
+  // Bounded Damerau-Levenshtein (optimal string alignment) distance.
+  // Returns maxDistance + 1 as soon as the distance is known to exceed it.
+  function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+
+        nextRow.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > maxDistance) {
+        return maxDistance + 1;
+      }
+
+      previousRow = row;
+      row = nextRow;
+    }
+
+    return row[b.length];
+  }
+
+  // Short terms get fewer typos: "css" must be exact, "deploy" may have one
+  function allowedEdits(term, fuzzyDistance) {
+    if (term.length < 4) return 0;
+    if (term.length < 8) return Math.min(1, fuzzyDistance);
+    return fuzzyDistance;
+  }
+
+  // Expand a query term into the index terms it should match: the term itself,
+  // completions when prefix search is on and near misses within the allowed
+  // edit distance. Candidates come from the term's own shard, so the first
+  // character has to be typed correctly.
+  function expandTerm(term, vocabulary, options = {}) {
+    const matching = { ...DEFAULT_MATCHING, ...options };
+    const maxEdits = matching.fuzzy ? allowedEdits(term, matching.fuzzyDistance) : 0;
+    const expansions = [];
+
+    vocabulary.forEach(candidate => {
+      if (candidate === term) {
+        expansions.push({ term: candidate, boost: 1 });
+      } else if (matching.prefixSearch && candidate.startsWith(term)) {
+        // Prefer completions that add fewer characters
+        expansions.push({ term: candidate, boost: Math.max(0.3, 0.8 * term.length / candidate.length) });
+      } else if (maxEdits > 0) {
+        const distance = editDistance(term, candidate, maxEdits);
+        if (distance <= maxEdits) {
+          expansions.push({ term: candidate, boost: 1 / (1 + distance) });
+        }
+      }
+    });
+
+    return expansions
+      .sort((a, b) => b.boost - a.boost)
+      .slice(0, MAX_EXPANSIONS);
+  }
+
+  // Words to highlight in a result: the typed query words plus the index
+  // terms they matched through prefix or typo-tolerant expansion
+  function highlightWords(query, matchedTerms = []) {
+    const queryWords = String(query || '').toLowerCase().split(/\s+/).filter(word => word.length > 0);
+    return Array.from(new Set(queryWords.concat(matchedTerms)));
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Index terms are normalized to Simplified Chinese, so let each Han
+  // character match its Traditional spellings in the displayed text
+  function wordPattern(word) {
+    return Array.from(word).map(character => {
+      const spellings = hanSpellings(normalize(character));
+      return spellings.length > 1 ? `[${spellings}]` : escapeRegExp(character);
+    }).join('');
+  }
+
+  // Escape text for HTML and wrap every occurrence of the words in <mark>.
+  // Matches on the raw text so words never match inside an HTML entity.
+  // Safe to run in a worker: no DOM access.
+  function highlight(text, words) {
+    if (!text) return '';
+    const patterns = (words || [])
+      .filter(word => word.length > 0)
+      // Longest first so a completion wins over the prefix that produced it
+      .sort((a, b) => b.length - a.length)
+      .map(wordPattern);
+    if (patterns.length === 0) return escapeHtml(text);
+
+    // Splitting on a capturing group puts the matches at the odd indexes
+    return String(text)
+      .split(new RegExp(`(${patterns.join('|')})`, 'gi'))
+      .map((part, index) => index % 2 === 1
+        ? `<mark class="bg-yellow-200 dark:bg-yellow-800 px-1 rounded">${escapeHtml(part)}</mark>`
+        : escapeHtml(part))
+      .join('');
+  }
+
+  // Highlighted title and summary HTML for a search result
+  function highlightResult(result, query) {
+    const words = highlightWords(query, result.matchedTerms);
+    return {
+      title: highlight(result.title, words),
+      summary: highlight(result.summary, words)
+    };
+  }
+
+  function fieldText(document, field) {
+    const value = document[field];
+    return Array.isArray(value) ? value.join(' ') : value;
+  }
+
+  // Build an inverted index from index.json entries.
+  // Postings are flat [docId, tf, docId, tf, ...] arrays to keep shards small.
+  function indexDocuments(documents) {
+    const docs = [];
+    const postings = {};
+    let totalLength = 0;
+
+    documents.forEach((document, docId) => {
+      const frequencies = new Map();
+      let length = 0;
+
+      Object.keys(FIELD_WEIGHTS).forEach(field => {
+        const weight = FIELD_WEIGHTS[field];
+        tokenize(fieldText(document, field)).forEach(term => {
+          frequencies.set(term, (frequencies.get(term) || 0) + weight);
+          length += weight;
+        });
+      });
+
+      frequencies.forEach((tf, term) => {
+        if (!postings[term]) {
+          postings[term] = [];
+        }
+        postings[term].push(docId, tf);
+      });
+
+      const { content, ...metadata } = document;
+      docs.push({ ...metadata, length });
+      totalLength += length;
+    });
+
+    return {
+      docs,
+      postings,
+      docCount: docs.length,
+      avgLength: docs.length > 0 ? totalLength / docs.length : 0
+    };
+  }
+
+  // Rank documents with BM25.
+  // termPostings: [{ term, postings, boost, group }] where boost down-weights
+  // expanded terms and group names the query term they were expanded from.
+  // Within a group only the best matching expansion counts for a document.
+  function scoreDocuments(termPostings, docs, stats) {
+    const groupScores = new Map();
+    const avgLength = stats.avgLength || 1;
+
+    termPostings.forEach(({ term, postings, boost = 1, group = term }, index) => {
+      if (!postings || postings.length === 0) return;
+      const groupKey = group === undefined ? index : group;
+
+      const df = postings.length / 2;
+      const idf = Math.log(1 + (stats.docCount - df + 0.5) / (df + 0.5));
+
+      for (let i = 0; i < postings.length; i += 2) {
+        const docId = postings[i];
+        const tf = postings[i + 1];
+        const doc = docs[docId];
+        if (!doc) continue;
+
+        const norm = BM25.k1 * (1 - BM25.b + BM25.b * (doc.length / avgLength));
+        const score = boost * idf * (tf * (BM25.k1 + 1)) / (tf + norm);
+
+        if (!groupScores.has(docId)) {
+          groupScores.set(docId, new Map());
+        }
+        const groups = groupScores.get(docId);
+        const best = groups.get(groupKey);
+        if (!best || score > best.score) {
+          groups.set(groupKey, { score, term });
+        }
+      }
+    });
+
+    return Array.from(groupScores, ([docId, groups]) => {
+      let score = 0;
+      const terms = [];
+      groups.forEach(match => {
+        score += match.score;
+        if (match.term) terms.push(match.term);
+      });
+      return { docId, score, terms };
+    }).sort((a, b) => b.score - a.score);
+  }
+
+  const SearchCore = {
+    BM25,
+    FIELD_WEIGHTS,
+    DEFAULT_MATCHING,
+    normalize,
+    tokenize,
+    hanSpellings,
+    highlightWords,
+    highlight,
+    highlightResult,
+    shardKeyFor,
+    editDistance,
+    expandTerm,
+    indexDocuments,
+    scoreDocuments
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchCore;
+  } else {
+    root.SearchCore = SearchCore;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,191 @@
+// Search facets module
+// Filtering, facet counts and sorting for the /search results page, plus the
+// mapping between that state and the URL query string. Pure functions over
+// index.json-shaped results, loadable from the browser bundle and from Node.
+
+(function(root) {
+  'use strict';
+
+  // Facet name (also its URL parameter) -> index.json field
+  const FACET_FIELDS = {
+    category: 'categories',
+    tag: 'tags',
+    author: 'author',
+    year: 'date'
+  };
+
+  const FACETS = Object.keys(FACET_FIELDS);
+
+  const SORT_MODES = ['relevance', 'newest', 'oldest'];
+
+  function createState(overrides = {}) {
+    const state = {
+      q: '',
+      readMin: null,
+      readMax: null,
+      sort: 'relevance'
+    };
+    FACETS.forEach(facet => {
+      state[facet] = [];
+    });
+    return { ...state, ...overrides };
+  }
+
+  // Values a document contributes to a facet
+  function facetValues(doc, facet) {
+    const value = doc[FACET_FIELDS[facet]];
+    if (value === undefined || value === null || value === '') return [];
+
+    if (facet === 'year') {
+      const year = String(value).slice(0, 4);
+      return /^\d{4}$/.test(year) ? [year] : [];
+    }
+    if (facet === 'author' && typeof value === 'object' && !Array.isArray(value)) {
+      return value.name ? [String(value.name)] : [];
+    }
+    return (Array.isArray(value) ? value : [value]).map(String);
+  }
+
+  function parseReadTime(value) {
+    const minutes = parseInt(value, 10);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+  }
+
+  // Read the search state from a query string (?q=hugo&tag=css&tag=js&sort=newest)
+  function parseState(search) {
+    const params = new URLSearchParams(search);
+    const state = createState({
+      q: (params.get('q') || params.get('query') || '').trim(),
+      readMin: parseReadTime(params.get('readMin')),
+      readMax: parseReadTime(params.get('readMax'))
+    });
+
+    FACETS.forEach(facet => {
+      state[facet] = Array.from(new Set(params.getAll(facet).filter(value => value !== '')));
+    });
+
+    const sort = params.get('sort');
+    if (SORT_MODES.includes(sort)) {
+      state.sort = sort;
+    }
+    return state;
+  }
+
+  // Inverse of parseState; defaults are left out to keep shared URLs short
+  function serializeState(state) {
+    const params = new URLSearchParams();
+    if (state.q) params.set('q', state.q);
+    FACETS.forEach(facet => {
+      (state[facet] || []).forEach(value => params.append(facet, value));
+    });
+    if (state.readMin !== null && state.readMin !== undefined) params.set('readMin', state.readMin);
+    if (state.readMax !== null && state.readMax !== undefined) params.set('readMax', state.readMax);
+    if (state.sort && state.sort !== 'relevance') params.set('sort', state.sort);
+    return params.toString();
+  }
+
+  function hasFilters(state) {
+    return FACETS.some(facet => state[facet].length > 0) ||
+      state.readMin !== null || state.readMax !== null;
+  }
+
+  function matchesReadTime(doc, state) {
+    const readTime = Number(doc.readTime) || 0;
+    if (state.readMin !== null && readTime < state.readMin) return false;
+    if (state.readMax !== null && readTime > state.readMax) return false;
+    return true;
+  }
+
+  // Values selected within one facet are alternatives (OR); facets and the
+  // reading time range narrow each other down (AND). `ignoreFacet` leaves one
+  // facet out, which is what its own counts are computed against.
+  function filterResults(results, state, ignoreFacet = null) {
+    return results.filter(doc => {
+      if (!matchesReadTime(doc, state)) return false;
+      return FACETS.every(facet => {
+        const selected = state[facet];
+        if (facet === ignoreFacet || selected.length === 0) return true;
+        return facetValues(doc, facet).some(value => selected.includes(value));
+      });
+    });
+  }
+
+  // Counts per facet value, each computed with the other facets applied so a
+  // chip shows how many results selecting it would add. Selected values are
+  // always listed, even when nothing matches them any more.
+  function countFacets(results, state) {
+    const counts = {};
+
+    FACETS.forEach(facet => {
+      const valueCounts = new Map();
+      filterResults(results, state, facet).forEach(doc => {
+        new Set(facetValues(doc, facet)).forEach(value => {
+          valueCounts.set(value, (valueCounts.get(value) || 0) + 1);
+        });
+      });
+      state[facet].forEach(value => {
+        if (!valueCounts.has(value)) valueCounts.set(value, 0);
+      });
+
+      counts[facet] = Array.from(valueCounts, ([value, count]) => ({
+        value,
+        count,
+        selected: state[facet].includes(value)
+      })).sort((a, b) => {
+        if (facet === 'year') return b.value.localeCompare(a.value);
+        return b.count - a.count || a.value.localeCompare(b.value);
+      });
+    });
+
+    return counts;
+  }
+
+  // Shortest and longest reading time among the results, for the range inputs
+  function readTimeBounds(results) {
+    const readTimes = results.map(doc => Number(doc.readTime) || 0);
+    if (readTimes.length === 0) return null;
+    return {
+      min: Math.min(...readTimes),
+      max: Math.max(...readTimes)
+    };
+  }
+
+  // Results arrive in relevance order; date sorts keep it as the tie-break
+  function sortResults(results, sort) {
+    if (sort !== 'newest' && sort !== 'oldest') return results.slice();
+
+    const direction = sort === 'newest' ? -1 : 1;
+    return results
+      .map((doc, rank) => ({ doc, rank }))
+      .sort((a, b) => {
+        const byDate = String(a.doc.date || '').localeCompare(String(b.doc.date || ''));
+        return byDate !== 0 ? byDate * direction : a.rank - b.rank;
+      })
+      .map(({ doc }) => doc);
+  }
+
+  function applyState(results, state) {
+    return sortResults(filterResults(results, state), state.sort);
+  }
+
+  const SearchFacets = {
+    FACETS,
+    SORT_MODES,
+    createState,
+    facetValues,
+    parseState,
+    serializeState,
+    hasFilters,
+    filterResults,
+    countFacets,
+    readTimeBounds,
+    sortResults,
+    applyState
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchFacets;
+  } else {
+    root.SearchFacets = SearchFacets;
+  }
+})(typeof self !== 'undefined' ? self : this);
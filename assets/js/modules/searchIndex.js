@@ -0,0 +1,146 @@
+// Search index client
+// Loads the prebuilt sharded index from scripts/buildSearchIndex.js, fetching
+// only the term shards a query needs, and ranks results with BM25.
+// Query terms are expanded to prefix completions and near-miss spellings.
+
+import SearchCore from './searchCore.js';
+
+export class SearchIndex {
+  constructor(options = {}) {
+    this.indexURL = options.indexURL || '/search-index/';
+    this.fallbackURL = options.fallbackURL || '/index.json';
+    this.matching = { ...SearchCore.DEFAULT_MATCHING, ...options.matching };
+    // index.json-shaped entries to index in memory instead of fetching
+    // anything (the offline page searches saved articles this way)
+    this.documents = options.documents || null;
+
+    this.manifest = null;
+    this.docs = [];
+    this.shards = new Map();
+    this.vocabularies = new Map();
+    this.loadingPromise = null;
+  }
+
+  // Load the manifest and document store (once)
+  load() {
+    if (!this.loadingPromise && this.documents) {
+      this.loadingPromise = Promise.resolve(this.loadDocuments(this.documents));
+    } else if (!this.loadingPromise) {
+      this.loadingPromise = this.loadManifest()
+        .catch(error => {
+          // The prebuilt index only exists after the build step has run
+          // (not under `hugo server`), so fall back to the raw index.json
+          console.warn('Prebuilt search index unavailable, indexing index.json in the browser:', error.message);
+          return this.loadFallback();
+        })
+        .catch(error => {
+          console.error('Failed to load search index:', error);
+          this.loadingPromise = null;
+          throw error;
+        });
+    }
+    return this.loadingPromise;
+  }
+
+  async loadManifest() {
+    this.manifest = await this.fetchJSON(this.indexURL + 'manifest.json');
+    this.docs = await this.fetchJSON(this.indexURL + this.manifest.docs);
+    return this;
+  }
+
+  async loadFallback() {
+    return this.loadDocuments(await this.fetchJSON(this.fallbackURL));
+  }
+
+  loadDocuments(documents) {
+    const index = SearchCore.indexDocuments(documents);
+
+    this.docs = index.docs;
+    this.manifest = {
+      docCount: index.docCount,
+      avgLength: index.avgLength,
+      shards: {}
+    };
+
+    // Every shard is already in memory, keyed the same way as the built files
+    const shards = {};
+    Object.keys(index.postings).forEach(term => {
+      const key = SearchCore.shardKeyFor(term);
+      shards[key] = shards[key] || {};
+      shards[key][term] = index.postings[term];
+    });
+    Object.keys(shards).forEach(key => {
+      this.manifest.shards[key] = key;
+      this.shards.set(key, Promise.resolve(shards[key]));
+    });
+
+    return this;
+  }
+
+  async fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  loadShard(key) {
+    if (!this.shards.has(key)) {
+      const fileName = this.manifest.shards[key];
+      const shard = fileName
+        ? this.fetchJSON(this.indexURL + fileName).catch(error => {
+          this.shards.delete(key);
+          throw error;
+        })
+        : Promise.resolve({});
+      this.shards.set(key, shard);
+    }
+    return this.shards.get(key);
+  }
+
+  // Postings for every index term the query term expands to
+  async expandTerm(term, matching) {
+    const key = SearchCore.shardKeyFor(term);
+    const shard = await this.loadShard(key);
+
+    if (!this.vocabularies.has(key)) {
+      this.vocabularies.set(key, Object.keys(shard));
+    }
+
+    return SearchCore.expandTerm(term, this.vocabularies.get(key), matching)
+      .map(({ term: indexTerm, boost }) => ({
+        term: indexTerm,
+        postings: shard[indexTerm],
+        boost,
+        group: term
+      }));
+  }
+
+  // Returns index.json-shaped entries (minus content) with a `score` and the
+  // index terms that matched in `matchedTerms`. An aborted `signal` rejects
+  // with an AbortError before any scoring work is done.
+  async search(query, { limit = 10, matching = this.matching, signal } = {}) {
+    const terms = Array.from(new Set(SearchCore.tokenize(query)));
+    if (terms.length === 0) return [];
+
+    await this.load();
+    throwIfAborted(signal);
+
+    const expansions = await Promise.all(terms.map(term => this.expandTerm(term, matching)));
+    throwIfAborted(signal);
+    const termPostings = [].concat(...expansions);
+
+    return SearchCore.scoreDocuments(termPostings, this.docs, this.manifest)
+      .slice(0, limit)
+      .map(({ docId, score, terms: matchedTerms }) => ({ ...this.docs[docId], score, matchedTerms }));
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Search cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
@@ -0,0 +1,82 @@
+// Section links module
+// Handles the link buttons that layouts/_markup/render-heading.html adds to
+// article headings: a click copies the section's URL and points the share
+// buttons (footer/social-share.html) at that section. Opening a link to a
+// section does the same, so it can be passed on as it was received.
+
+export class SectionLinks {
+  // copy(url) puts the link on the clipboard and tells the reader
+  constructor({ copy = url => window.copyToClipboard(url) } = {}) {
+    this.copy = copy;
+    this.share = document.querySelector('[data-social-share]');
+    this.article = this.share && {
+      url: this.share.dataset.shareUrl,
+      title: this.share.dataset.shareTitle
+    };
+  }
+
+  init() {
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-heading-anchor]');
+      if (!button) return;
+
+      e.preventDefault();
+      const heading = document.getElementById(button.dataset.headingAnchor);
+      if (!heading) return;
+
+      this.copy(this.urlFor(heading));
+      this.shareSection(heading);
+    });
+
+    if (!this.share) return;
+
+    const reset = this.share.querySelector('[data-share-article]');
+    if (reset) {
+      reset.addEventListener('click', () => this.shareArticle());
+    }
+
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const heading = id && document.getElementById(id);
+    if (heading && heading.hasAttribute('data-section-heading')) {
+      this.shareSection(heading);
+    }
+  }
+
+  // The article's permalink (or the page's address) with the section as its fragment
+  urlFor(heading) {
+    const url = new URL(this.article ? this.article.url : window.location.href, window.location.href);
+    url.hash = heading.id;
+    return url.href;
+  }
+
+  shareSection(heading) {
+    if (!this.share) return;
+
+    // The link button holds only an icon, so this is the heading's own text
+    const section = heading.textContent.trim();
+    this.point(this.urlFor(heading), `${section} – ${this.article.title}`);
+
+    const note = this.share.querySelector('[data-share-section]');
+    if (note) {
+      note.querySelector('[data-share-section-title]').textContent = section;
+      note.classList.remove('hidden');
+    }
+  }
+
+  shareArticle() {
+    this.point(this.article.url, this.article.title);
+
+    const note = this.share.querySelector('[data-share-section]');
+    if (note) note.classList.add('hidden');
+  }
+
+  // Rewrites every share button, and the URL the copy button copies
+  point(url, title) {
+    this.share.dataset.shareUrl = url;
+    this.share.querySelectorAll('[data-share-template]').forEach(link => {
+      link.href = link.dataset.shareTemplate
+        .replace('{url}', encodeURIComponent(url))
+        .replace('{title}', encodeURIComponent(title));
+    });
+  }
+}
@@ -0,0 +1,181 @@
+// Table of contents module
+// Highlights the section being read in every table of contents on the page
+// (layouts/partials/content/table-of-contents.html), keeps the URL hash on
+// that section without adding history entries, and fills the reading
+// progress bar. A hash that is not a heading (a footnote, say) is left alone
+// until the reader scrolls on. Clicks on the links are left to the theme's
+// smooth scrolling.
+
+// Keys that scroll the page when no field has focus
+const SCROLL_KEYS = ['ArrowDown', 'ArrowUp', 'PageDown', 'PageUp', 'Home', 'End', ' '];
+
+export class TableOfContents {
+  // getOffset() returns the height covered by the sticky header
+  constructor({ getOffset = () => 0 } = {}) {
+    this.getOffset = getOffset;
+    this.tocs = Array.from(document.querySelectorAll('[data-toc]'));
+    this.content = document.querySelector('[data-toc-content]');
+    this.progress = document.querySelector('[data-reading-progress]');
+    this.links = new Map();
+    this.headings = [];
+    this.active = null;
+    this.observed = false;
+    this.ticking = false;
+    // Whether the URL hash follows the current section
+    this.ownsHash = false;
+  }
+
+  init() {
+    if (this.tocs.length === 0) return;
+
+    this.tocs.forEach(toc => {
+      toc.querySelectorAll('a[href^="#"]').forEach(link => {
+        const heading = document.getElementById(decodeURIComponent(link.hash.slice(1)));
+        if (!heading) return;
+
+        if (!this.links.has(heading)) {
+          this.links.set(heading, []);
+          this.headings.push(heading);
+        }
+        this.links.get(heading).push(link);
+        // Picking a section hands the hash back as well
+        link.addEventListener('click', () => {
+          this.ownsHash = true;
+        });
+      });
+
+      // The collapsible version closes once a section is picked
+      if (toc.tagName === 'DETAILS') {
+        toc.addEventListener('click', (e) => {
+          if (e.target.closest('a')) toc.open = false;
+        });
+      }
+    });
+
+    // Document order, whichever list a heading was found in first
+    this.headings.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+    if ('IntersectionObserver' in window && this.headings.length > 0) {
+      // Fires as headings enter, cross the top of, or leave the band just
+      // below the header
+      const observer = new IntersectionObserver(() => this.update(), {
+        rootMargin: `-${this.line()}px 0px -60% 0px`,
+        threshold: [0, 1]
+      });
+      this.headings.forEach(heading => observer.observe(heading));
+      this.observed = true;
+    }
+
+    // Following a link to another fragment hands the hash to it, and
+    // scrolling by the reader (not the jump to the fragment) takes it back
+    this.ownsHash = this.hashIsHeading();
+    window.addEventListener('hashchange', () => {
+      this.ownsHash = this.hashIsHeading();
+    });
+    const takeHash = () => {
+      this.ownsHash = true;
+    };
+    window.addEventListener('wheel', takeHash, { passive: true });
+    window.addEventListener('touchmove', takeHash, { passive: true });
+    window.addEventListener('keydown', (e) => {
+      const typing = e.target.closest && e.target.closest('input, textarea, select, [contenteditable]');
+      if (SCROLL_KEYS.includes(e.key) && !typing) takeHash();
+    });
+
+    window.addEventListener('scroll', () => this.requestUpdate(), { passive: true });
+    window.addEventListener('resize', () => this.requestUpdate(), { passive: true });
+    this.update();
+  }
+
+  // No hash, or one pointing at a heading in the table of contents
+  hashIsHeading() {
+    const hash = window.location.hash.slice(1);
+    if (!hash) return true;
+
+    try {
+      const target = document.getElementById(decodeURIComponent(hash));
+      return this.links.has(target);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Headings scrolled to by the smooth scrolling stop 20px below the header
+  line() {
+    return this.getOffset() + 24;
+  }
+
+  // The current section is the last heading scrolled past the header
+  update() {
+    const line = this.line();
+    let current = null;
+
+    for (const heading of this.headings) {
+      if (heading.getBoundingClientRect().top > line) break;
+      current = heading;
+    }
+
+    this.setActive(current);
+    this.updateProgress();
+  }
+
+  setActive(heading) {
+    if (heading === this.active) return;
+
+    if (this.active) {
+      this.links.get(this.active).forEach(link => link.removeAttribute('aria-current'));
+    }
+    this.active = heading;
+
+    // Above the first section the hash is dropped again
+    const url = heading ? `#${encodeURIComponent(heading.id)}` : window.location.pathname + window.location.search;
+    if (heading) {
+      this.links.get(heading).forEach(link => {
+        link.setAttribute('aria-current', 'location');
+        this.revealInSidebar(link);
+      });
+    }
+    if (this.ownsHash && url !== window.location.hash) {
+      history.replaceState(history.state, '', url);
+    }
+  }
+
+  // Keeps the active link visible when the sidebar list scrolls on its own
+  revealInSidebar(link) {
+    const toc = link.closest('[data-toc]');
+    if (toc.tagName === 'DETAILS' || toc.scrollHeight <= toc.clientHeight) return;
+
+    const linkTop = link.offsetTop - toc.offsetTop;
+    if (linkTop < toc.scrollTop || linkTop > toc.scrollTop + toc.clientHeight - link.offsetHeight) {
+      toc.scrollTop = linkTop - toc.clientHeight / 2;
+    }
+  }
+
+  // Scrolling moves the progress bar; the section changes with the observer,
+  // or here as well in browsers without one
+  requestUpdate() {
+    if (this.ticking) return;
+    this.ticking = true;
+    requestAnimationFrame(() => {
+      this.ticking = false;
+      if (this.observed) {
+        this.updateProgress();
+      } else {
+        this.update();
+      }
+    });
+  }
+
+  // Share of the article scrolled past, from its top to its end reaching
+  // the bottom of the viewport
+  updateProgress() {
+    if (!this.progress || !this.content) return;
+
+    const rect = this.content.getBoundingClientRect();
+    const distance = rect.height - window.innerHeight + this.getOffset();
+    const scrolled = this.getOffset() - rect.top;
+    const progress = distance > 0 ? Math.min(Math.max(scrolled / distance, 0), 1) : 1;
+
+    this.progress.style.transform = `scaleX(${progress})`;
+  }
+}
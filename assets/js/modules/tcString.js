@@ -0,0 +1,100 @@
+// TC string module
+// Encodes IAB TCF v2.2 TC strings: the core segment and the disclosed vendors
+// segment, for a service-specific CMP without legitimate interests, special
+// features or publisher restrictions. Inlined by
+// layouts/partials/privacy/tcf-api.html and loadable from Node for the tests.
+
+(function(root) {
+  'use strict';
+
+  const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  const DAY = 864000; // deciseconds
+
+  // Created and LastUpdated are deciseconds, rounded down to the day as the
+  // format asks
+  function day(time) {
+    return Math.floor(time / 100 / DAY) * DAY;
+  }
+
+  function int(value, length) {
+    let bits = Number(value || 0).toString(2);
+    while (bits.length < length) bits = '0' + bits;
+    return bits.slice(-length);
+  }
+
+  // Two-letter codes, A = 0
+  function letters(code) {
+    return int(code.charCodeAt(0) - 65, 6) + int(code.charCodeAt(1) - 65, 6);
+  }
+
+  function bitField(ids, length) {
+    let bits = '';
+    for (let id = 1; id <= length; id++) {
+      bits += ids.indexOf(id) !== -1 ? '1' : '0';
+    }
+    return bits;
+  }
+
+  // MaxVendorId, then a bit field (IsRangeEncoding 0)
+  function vendorSection(ids) {
+    const maxVendorId = ids.length ? Math.max.apply(null, ids) : 0;
+    return int(maxVendorId, 16) + '0' + bitField(ids, maxVendorId);
+  }
+
+  // Whole bytes, base64url without padding
+  function base64url(bits) {
+    while (bits.length % 8) bits += '0';
+    let encoded = '';
+    for (let i = 0; i < bits.length; i += 6) {
+      encoded += BASE64URL.charAt(parseInt((bits.slice(i, i + 6) + '00000').slice(0, 6), 2));
+    }
+    return encoded;
+  }
+
+  // state: { purposes, vendors, created, updated } with the times already
+  // passed through day(). settings: { cmpId, cmpVersion, vendorListVersion,
+  // policyVersion, publisherCountryCode, language, vendors }, where vendors
+  // are the disclosed ones.
+  function encode(state, settings) {
+    const core =
+      int(2, 6) +                          // Version
+      int(state.created, 36) +
+      int(state.updated, 36) +
+      int(settings.cmpId, 12) +
+      int(settings.cmpVersion, 12) +
+      int(1, 6) +                          // ConsentScreen
+      letters(settings.language) +
+      int(settings.vendorListVersion, 12) +
+      int(settings.policyVersion, 6) +
+      '1' +                                // IsServiceSpecific
+      '0' +                                // UseNonStandardTexts
+      int(0, 12) +                         // SpecialFeatureOptIns
+      bitField(state.purposes, 24) +       // PurposesConsent
+      int(0, 24) +                         // PurposesLITransparency
+      '0' +                                // PurposeOneTreatment
+      letters(settings.publisherCountryCode) +
+      vendorSection(state.vendors) +       // Vendor consents
+      vendorSection([]) +                  // Vendor legitimate interests
+      int(0, 12);                          // NumPubRestrictions
+    const disclosedVendors = int(1, 3) + vendorSection(settings.vendors);
+
+    return base64url(core) + '.' + base64url(disclosedVendors);
+  }
+
+  const TCString = {
+    DAY,
+    day,
+    int,
+    letters,
+    bitField,
+    vendorSection,
+    base64url,
+    encode
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TCString;
+  } else {
+    root.TCString = TCString;
+  }
+})(typeof self !== 'undefined' ? self : this);
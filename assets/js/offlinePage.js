@@ -0,0 +1,152 @@
+// Offline page
+// Lists the articles saved for offline reading and searches them without a
+// network connection. The service worker serves this page for any navigation
+// that fails while offline. Bundled and inlined by layouts/index.offline.html
+// so the page works from a single cached response.
+
+import { OfflineArticles } from './modules/offlineArticles.js';
+import { SearchIndex } from './modules/searchIndex.js';
+import SearchCore from './modules/searchCore.js';
+
+class OfflinePage {
+  constructor(element) {
+    this.element = element;
+    this.store = new OfflineArticles();
+    this.articles = [];
+    this.searchIndex = null;
+    this.searchTimeout = null;
+
+    this.list = element.querySelector('[data-offline-list]');
+    this.input = element.querySelector('[data-offline-search]');
+    this.empty = element.querySelector('[data-offline-empty]');
+    this.noMatches = element.querySelector('[data-offline-no-matches]');
+    this.status = element.querySelector('[data-offline-status]');
+    this.labels = element.dataset;
+
+    this.init();
+  }
+
+  init() {
+    this.updateStatus();
+    window.addEventListener('online', () => this.updateStatus());
+    window.addEventListener('offline', () => this.updateStatus());
+
+    if (this.input) {
+      this.input.addEventListener('input', () => {
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => this.search(), 150);
+      });
+    }
+
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-offline-remove]');
+      if (!button) return;
+      e.preventDefault();
+      this.remove(button.dataset.offlineRemove);
+    });
+
+    this.load();
+  }
+
+  updateStatus() {
+    if (this.status) {
+      this.status.classList.toggle('hidden', navigator.onLine);
+    }
+  }
+
+  async load() {
+    if (!OfflineArticles.isSupported()) {
+      this.articles = [];
+    } else {
+      try {
+        this.articles = await this.store.list();
+      } catch (error) {
+        console.error('Failed to read saved articles:', error);
+        this.articles = [];
+      }
+    }
+
+    this.searchIndex = new SearchIndex({ documents: this.articles });
+    if (this.input) this.input.disabled = this.articles.length === 0;
+    this.search();
+  }
+
+  async search() {
+    const query = this.input ? this.input.value.trim() : '';
+
+    if (query.length < 2) {
+      this.render(this.articles.map(article => ({
+        ...article,
+        highlights: { title: escapeHtml(article.title), summary: escapeHtml(article.summary) }
+      })), '');
+      return;
+    }
+
+    const results = await this.searchIndex.search(query, { limit: this.articles.length });
+    // A newer query has replaced this one
+    if ((this.input ? this.input.value.trim() : '') !== query) return;
+
+    this.render(results.map(result => ({
+      ...result,
+      highlights: SearchCore.highlightResult(result, query)
+    })), query);
+  }
+
+  render(articles, query) {
+    this.empty.classList.toggle('hidden', this.articles.length > 0);
+    if (this.noMatches) {
+      this.noMatches.classList.toggle('hidden', !query || articles.length > 0);
+    }
+
+    this.list.innerHTML = articles.map(article => `
+      <li class="rounded-lg border bg-card p-5">
+        <div class="flex items-start justify-between gap-4">
+          <div class="min-w-0">
+            <h2 class="font-semibold mb-1">
+              <a href="${escapeHtml(article.relpermalink)}" class="hover:text-primary transition-colors">${article.highlights.title}</a>
+            </h2>
+            ${article.date ? `<p class="text-xs text-muted-foreground mb-2"><time datetime="${escapeHtml(article.date)}">${escapeHtml(article.date)}</time></p>` : ''}
+            <p class="text-sm text-muted-foreground line-clamp-2">${article.highlights.summary}</p>
+          </div>
+          <button type="button"
+                  class="shrink-0 rounded-md border border-border px-3 py-1 text-sm hover:bg-muted transition-colors"
+                  aria-label="${escapeHtml(`${this.labels.removeLabel}: ${article.title}`)}"
+                  data-offline-remove="${escapeHtml(article.relpermalink)}">
+            ${escapeHtml(this.labels.removeLabel)}
+          </button>
+        </div>
+      </li>
+    `).join('');
+  }
+
+  async remove(url) {
+    try {
+      await this.store.remove(url);
+    } catch (error) {
+      console.error('Failed to remove saved article:', error);
+    }
+    this.load();
+  }
+}
+
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function init() {
+  const element = document.querySelector('[data-offline-page]');
+  if (element) {
+    new OfflinePage(element);
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
@@ -0,0 +1,91 @@
+// Search worker
+// Fetches, parses, scores and highlights the local search index off the main
+// thread so typing never waits for it. Bundled on its own by
+// layouts/partials/search/search-manager.html; modules/searchClient.js is the
+// main-thread side of the message API:
+//
+//   → { type: 'init', options }                        SearchIndex options
+//   → { type: 'load', id }                             ← { id, type: 'loaded' }
+//   → { type: 'search', id, channel, query, options }  ← { id, type: 'results', results }
+//   → { type: 'cancel', id }                           ← { id, type: 'error', error }
+//
+// A search supersedes the previous unfinished search on the same channel.
+
+import { SearchIndex } from './modules/searchIndex.js';
+import SearchCore from './modules/searchCore.js';
+
+let searchIndex = new SearchIndex();
+
+// Unfinished searches: request id -> AbortController, channel -> request id
+const controllers = new Map();
+const channels = new Map();
+
+function reply(message) {
+  self.postMessage(message);
+}
+
+function replyError(id, error) {
+  reply({
+    id,
+    type: 'error',
+    error: { name: error.name || 'Error', message: error.message || String(error) }
+  });
+}
+
+function cancel(id) {
+  const controller = controllers.get(id);
+  if (controller) {
+    controller.abort();
+  }
+}
+
+// Results carry their title and summary already highlighted
+function withHighlights(results, query) {
+  return results.map(result => ({ ...result, highlights: SearchCore.highlightResult(result, query) }));
+}
+
+async function search({ id, channel = 'default', query, options = {} }) {
+  cancel(channels.get(channel));
+
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  channels.set(channel, id);
+
+  try {
+    const results = await searchIndex.search(query, { ...options, signal: controller.signal });
+    if (controller.signal.aborted) {
+      throw Object.assign(new Error('Search cancelled'), { name: 'AbortError' });
+    }
+    reply({ id, type: 'results', results: withHighlights(results, query) });
+  } catch (error) {
+    replyError(id, error);
+  } finally {
+    controllers.delete(id);
+    if (channels.get(channel) === id) {
+      channels.delete(channel);
+    }
+  }
+}
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  switch (message.type) {
+    case 'init':
+      searchIndex = new SearchIndex(message.options);
+      break;
+    case 'load':
+      searchIndex.load()
+        .then(() => reply({ id: message.id, type: 'loaded' }))
+        .catch(error => replyError(message.id, error));
+      break;
+    case 'search':
+      search(message);
+      break;
+    case 'cancel':
+      cancel(message.id);
+      break;
+    default:
+      console.warn('Search worker: unknown message type', message.type);
+  }
+});
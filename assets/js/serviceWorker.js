@@ -0,0 +1,383 @@
+// Service Worker for advanced caching and performance optimization
+// Published as /sw.js by layouts/index.serviceworker.js, which defines
+// CACHE_VERSION, PRECACHE_MANIFEST ([{ url, revision }]), RUNTIME_CACHING
+// (params.performance.serviceWorker) and OFFLINE_PAGES (each language's
+// offline page, the default language's first) above this code, and bundles
+// the modules it imports.
+
+import { FormQueue, FORM_SYNC_TAG, FORM_SYNCED_MESSAGE } from './modules/formSubmissions.js';
+
+// Stylesheets, scripts and offline pages of one build. Each version gets its
+// own cache, so pages still running on the previous worker keep their assets.
+const PRECACHE_PREFIX = 'precache-';
+const PRECACHE = PRECACHE_PREFIX + CACHE_VERSION;
+// Runtime caches, one per kind of request. Each is trimmed to the
+// maxEntries and maxAgeDays configured for it in RUNTIME_CACHING.
+const RUNTIME_CACHES = {
+  pages: 'pages-v1',
+  // index.json, the prebuilt search index (scripts/buildSearchIndex.js) and RSS
+  data: 'data-v1',
+  assets: 'assets-v1',
+  images: 'images-v1'
+};
+// Articles saved with "Save for offline". Holds reader data, so it is never
+// versioned or cleaned up here (see assets/js/modules/offlineArticles.js).
+const OFFLINE_CACHE = 'offline-articles';
+
+// Revision of precached files whose URL has no content hash in it
+const REVISION_HEADER = 'X-Precache-Revision';
+// When a runtime cache entry was stored, for maxAgeDays
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Install event - precache the build's assets. Files unchanged since the
+// previous version are copied over instead of downloaded again. An update
+// then waits until the reader agrees to reload (see the message event), so
+// open pages never mix assets from two builds.
+self.addEventListener('install', event => {
+  event.waitUntil(
+    Promise.all([caches.open(PRECACHE), caches.keys()])
+      .then(([cache, cacheNames]) => {
+        const previous = cacheNames.filter(name => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE);
+        return Promise.all(PRECACHE_MANIFEST.map(entry => precacheEntry(cache, previous, entry)));
+      })
+  );
+});
+
+// Sent by the page when the reader accepts the update prompt
+// (layouts/partials/performance/update-prompt.html); the page reloads once
+// this worker takes control
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Activate event - drop the previous versions' precaches and caches this
+// worker does not use, and expire old runtime entries. Saved articles are kept.
+self.addEventListener('activate', event => {
+  const keep = [PRECACHE, OFFLINE_CACHE, ...Object.values(RUNTIME_CACHES)];
+  event.waitUntil(
+    caches.keys()
+      .then(cacheNames => {
+        return Promise.all(
+          cacheNames.map(cacheName => {
+            if (!keep.includes(cacheName)) {
+              return caches.delete(cacheName);
+            }
+          })
+        );
+      })
+      .then(() => Promise.all(Object.keys(RUNTIME_CACHES).map(trimCache)))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A failed entry is logged rather than failing the install, so one missing
+// file does not keep every other update from reaching readers
+function precacheEntry(cache, previousCaches, entry) {
+  return cache.match(entry.url)
+    .then(cached => {
+      if (cached) return null;
+      return findPrecached(previousCaches, entry)
+        .then(response => response || fetch(new Request(entry.url, { cache: 'reload' })).then(fresh => {
+          if (!fresh.ok) {
+            throw new Error(`${fresh.status} ${fresh.statusText}`);
+          }
+          return withRevision(fresh, entry.revision);
+        }))
+        .then(response => cache.put(entry.url, response));
+    })
+    .catch(error => {
+      console.warn('Service Worker: failed to precache', entry.url, error);
+    });
+}
+
+// The same file in an earlier precache: same URL and, for URLs without a
+// content hash, the same revision
+function findPrecached(cacheNames, entry) {
+  return cacheNames.reduce((found, cacheName) => found.then(response => {
+    if (response) return response;
+    return caches.open(cacheName)
+      .then(cache => cache.match(entry.url))
+      .then(cached => {
+        if (!cached) return null;
+        if (entry.revision && cached.headers.get(REVISION_HEADER) !== entry.revision) return null;
+        return cached;
+      });
+  }), Promise.resolve(null));
+}
+
+function withRevision(response, revision) {
+  if (!revision) return response;
+
+  const headers = new Headers(response.headers);
+  headers.set(REVISION_HEADER, revision);
+  return response.blob().then(body => new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  }));
+}
+
+// Background Sync: deliver the contact and newsletter forms queued while
+// offline. A rejected replay makes the browser try again later.
+self.addEventListener('sync', event => {
+  if (event.tag !== FORM_SYNC_TAG) return;
+
+  event.waitUntil(
+    new FormQueue().replay()
+      .then(sent => notifyFormsSent(sent), error => {
+        return Promise.resolve(notifyFormsSent(error.sent || [])).then(() => {
+          throw error;
+        });
+      })
+  );
+});
+
+// Open pages tell the reader that their queued submission went through
+function notifyFormsSent(sent) {
+  if (sent.length === 0) return null;
+
+  return self.clients.matchAll({ type: 'window' }).then(clients => {
+    clients.forEach(client => client.postMessage({
+      type: FORM_SYNCED_MESSAGE,
+      kinds: sent.map(submission => submission.kind)
+    }));
+  });
+}
+
+// Requests are handled by the first route that matches. Anything else goes
+// to the network as usual.
+const ROUTES = [
+  // Pages come from the network so readers see the latest version
+  { match: (url, request) => request.mode === 'navigate', handler: handleNavigation },
+  // Hashed search index files never change
+  { match: url => isSearchIndex(url) && isHashedFile(url), handler: request => cacheFirst(request, 'data') },
+  // Search works offline and picks up new posts on the next visit
+  { match: url => isSearchIndex(url) || isFeed(url), handler: request => staleWhileRevalidate(request, 'data') },
+  { match: url => isImage(url), handler: request => cacheFirst(request, 'images') },
+  { match: url => isFingerprinted(url) || isFont(url), handler: request => cacheFirst(request, 'assets') },
+  // Stylesheets and scripts without a content hash (development builds)
+  { match: url => isStaticAsset(url), handler: request => staleWhileRevalidate(request, 'assets') }
+];
+
+// Fetch event - route same-origin GET requests to a caching strategy
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Skip non-GET requests
+  if (request.method !== 'GET') return;
+
+  // Skip external requests
+  if (url.origin !== location.origin) return;
+
+  const route = ROUTES.find(candidate => candidate.match(url, request));
+  if (route) {
+    event.respondWith(route.handler(request));
+    return;
+  }
+
+  // Saved articles may need files no route caches; offer them when offline
+  event.respondWith(fetch(request).catch(() => matchStored(request).then(response => response || Response.error())));
+});
+
+// Network first, falling back to the cache when the network fails or takes
+// longer than networkTimeout. Offline, a saved article is used next, then the
+// offline page.
+function handleNavigation(request) {
+  return networkFirst(request, 'pages')
+    .then(response => response || matchStored(request, { ignoreSearch: true }))
+    .then(response => response || offlinePage(request));
+}
+
+// Shown for navigations that fail offline; lists and searches saved
+// articles. The page of the language the reader was browsing (the one in
+// the deepest directory above the request, /zh/offline.html for /zh/posts/),
+// if it has been cached, otherwise the default one.
+function offlinePage(request) {
+  const path = new URL(request.url).pathname;
+  const localized = OFFLINE_PAGES
+    .filter(url => path.startsWith(url.slice(0, url.lastIndexOf('/') + 1)))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return (localized ? caches.match(localized) : Promise.resolve(undefined))
+    .then(response => response || (OFFLINE_PAGES.length ? caches.match(OFFLINE_PAGES[0]) : undefined))
+    .then(response => response || new Response('You are offline.', {
+      status: 503,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+    }));
+}
+
+// Resolves with undefined instead of rejecting when there is neither a
+// response nor a cached copy, so callers can add their own fallback
+function networkFirst(request, name) {
+  const timeout = (RUNTIME_CACHING.networkTimeout || 0) * 1000;
+  const network = fetchAndCache(request, name);
+
+  if (!timeout) {
+    return network.catch(() => matchFresh(request, name, { ignoreSearch: true }));
+  }
+
+  return new Promise(resolve => {
+    let settled = false;
+    const settle = response => {
+      if (settled) return;
+      settled = true;
+      resolve(response);
+    };
+
+    // A slow network answers from the cache if it can; the network response
+    // still updates the cache when it arrives
+    const timer = setTimeout(() => {
+      matchFresh(request, name, { ignoreSearch: true }).then(cached => {
+        if (cached) settle(cached);
+      });
+    }, timeout);
+
+    network
+      .then(response => {
+        clearTimeout(timer);
+        settle(response);
+      })
+      .catch(() => {
+        clearTimeout(timer);
+        matchFresh(request, name, { ignoreSearch: true }).then(settle);
+      });
+  });
+}
+
+// Answer from the cache right away and refresh it in the background
+function staleWhileRevalidate(request, name) {
+  return matchFresh(request, name).then(cachedResponse => {
+    const update = fetchAndCache(request, name);
+
+    if (cachedResponse) {
+      update.catch(() => {});
+      return cachedResponse;
+    }
+    return update.catch(() => matchStored(request).then(response => response || Response.error()));
+  });
+}
+
+function cacheFirst(request, name) {
+  return matchFresh(request, name).then(cachedResponse => {
+    if (cachedResponse) return cachedResponse;
+
+    return fetchAndCache(request, name)
+      .catch(() => matchStored(request).then(response => response || Response.error()));
+  });
+}
+
+function fetchAndCache(request, name) {
+  return fetch(request).then(response => {
+    // Don't cache non-successful or opaque responses
+    if (response && response.status === 200 && response.type === 'basic') {
+      const cacheName = RUNTIME_CACHES[name];
+      const stamped = withCachedAt(response.clone());
+      caches.open(cacheName)
+        .then(cache => cache.put(request, stamped))
+        .then(() => trimCache(name));
+    }
+    return response;
+  });
+}
+
+// A runtime cache entry younger than its cache's maxAgeDays. Precached files
+// are checked first, since the runtime caches never hold them.
+function matchFresh(request, name, options) {
+  return caches.open(PRECACHE)
+    .then(cache => cache.match(request, options))
+    .then(precached => {
+      if (precached) return precached;
+
+      return caches.open(RUNTIME_CACHES[name]).then(cache => cache.match(request, options).then(cached => {
+        if (!cached) return undefined;
+        if (isExpired(cached, name)) {
+          cache.delete(request, options);
+          return undefined;
+        }
+        return cached;
+      }));
+    });
+}
+
+// Caches that never expire: this build's precache and saved articles
+function matchStored(request, options) {
+  return caches.open(OFFLINE_CACHE)
+    .then(cache => cache.match(request, options))
+    .then(response => response || caches.open(PRECACHE).then(cache => cache.match(request, options)));
+}
+
+function withCachedAt(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+function isExpired(response, name) {
+  const maxAgeDays = cacheLimits(name).maxAgeDays;
+  if (!maxAgeDays) return false;
+
+  const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+  return !cachedAt || Date.now() - cachedAt > maxAgeDays * DAY;
+}
+
+// Drops expired entries, then the oldest ones beyond maxEntries. Cache
+// Storage keeps entries in the order they were stored.
+function trimCache(name) {
+  const { maxEntries } = cacheLimits(name);
+
+  return caches.open(RUNTIME_CACHES[name]).then(cache => cache.keys().then(requests => {
+    return Promise.all(requests.map(request => cache.match(request).then(response => {
+      return response && isExpired(response, name) ? null : request;
+    }))).then(kept => {
+      const expired = requests.filter((request, index) => kept[index] === null);
+      const live = kept.filter(Boolean);
+      const overflow = maxEntries ? live.slice(0, Math.max(0, live.length - maxEntries)) : [];
+      return Promise.all(expired.concat(overflow).map(request => cache.delete(request)));
+    });
+  }));
+}
+
+function cacheLimits(name) {
+  return RUNTIME_CACHING[name] || {};
+}
+
+// index.json of any language and the files under search-index/
+function isSearchIndex(url) {
+  return /(^|\/)index\.json$/.test(url.pathname) || url.pathname.includes('/search-index/');
+}
+
+// Index files with a content hash in their name never change
+function isHashedFile(url) {
+  return /\.[0-9a-f]{10}\.json$/.test(url.pathname);
+}
+
+// RSS feeds of the home page, sections and taxonomies
+function isFeed(url) {
+  return /(^|\/)index\.xml$/.test(url.pathname);
+}
+
+// Assets processed with Hugo's fingerprint (style.<sha256>.css)
+function isFingerprinted(url) {
+  return /\.[0-9a-f]{32,}\.(css|js)$/.test(url.pathname);
+}
+
+function isImage(url) {
+  return /\.(png|jpe?g|gif|svg|webp|avif|ico)$/i.test(url.pathname);
+}
+
+function isFont(url) {
+  return /\.(woff2?|ttf|eot)$/i.test(url.pathname);
+}
+
+function isStaticAsset(url) {
+  return /\.(css|js)$/i.test(url.pathname);
+}
@@ -0,0 +1,46 @@
+{{- /*
+  Service worker (home page "ServiceWorker" output format, /sw.js)
+  Puts the precache manifest in front of assets/js/serviceWorker.js. The
+  manifest lists the stylesheets and scripts from helpers/theme-assets.html and
+  every language's offline page. CACHE_VERSION is a hash of those assets, so a
+  deploy that changes any of them ships a new worker with a new precache.
+  RUNTIME_CACHING carries params.performance.serviceWorker. URLs come from
+  Hugo, so a site under a baseURL subpath gets its own paths.
+*/ -}}
+{{- $assets := partialCached "helpers/theme-assets.html" . -}}
+
+{{- /* Fingerprinted URLs (production) change with their content; the others carry a revision */ -}}
+{{- $manifest := slice -}}
+{{- range $assets.precache -}}
+  {{- $entry := dict "url" .RelPermalink -}}
+  {{- if not hugo.IsProduction -}}
+    {{- $entry = merge $entry (dict "revision" (.Content | md5)) -}}
+  {{- end -}}
+  {{- $manifest = $manifest | append $entry -}}
+{{- end -}}
+{{- /* The default language's first */ -}}
+{{- $offlinePages := slice -}}
+{{- range hugo.Sites -}}
+  {{- with .Home.OutputFormats.Get "offline" -}}
+    {{- $manifest = $manifest | append (dict "url" .RelPermalink "revision" $assets.version) -}}
+    {{- $offlinePages = $offlinePages | append .RelPermalink -}}
+  {{- end -}}
+{{- end -}}
+
+{{- /* Runtime caching from params.performance.serviceWorker, keys spelled as the worker reads them */ -}}
+{{- $_ := partial "helpers/config-validation.html" . -}}
+{{- $serviceWorker := (.Page.Store.Get "validatedConfig").performance.serviceWorker -}}
+{{- $runtimeCaching := dict "networkTimeout" (float $serviceWorker.networkTimeout) -}}
+{{- range $name := slice "pages" "data" "assets" "images" -}}
+  {{- $limits := index $serviceWorker $name -}}
+  {{- $runtimeCaching = merge $runtimeCaching (dict $name (dict "maxEntries" ($limits.maxEntries | int) "maxAgeDays" (float $limits.maxAgeDays))) -}}
+{{- end -}}
+
+{{- $body := resources.Get "js/serviceWorker.js" | js.Build (dict "targetPath" "js/sw-body.js" "target" "es2018" "minify" hugo.IsProduction) -}}
+// Generated by layouts/index.serviceworker.js; edit assets/js/serviceWorker.js
+const CACHE_VERSION = {{ $assets.version | jsonify }};
+const PRECACHE_MANIFEST = {{ $manifest | jsonify }};
+const RUNTIME_CACHING = {{ $runtimeCaching | jsonify }};
+const OFFLINE_PAGES = {{ $offlinePages | jsonify }};
+
+{{ $body.Content }}
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const SearchCore = require("../assets/js/modules/searchCore.js");
+
+// Post-build step: turns Hugo's index.json into a sharded inverted index
+// that the search client can fetch piece by piece. Multilingual sites get one
+// index per language, next to that language's index.json (public/zh/...).
+//
+// Usage: node scripts/buildSearchIndex.js [publicDir]
+
+const OUTPUT_DIR = "search-index";
+
+const contentHash = (content) =>
+  crypto.createHash("sha256").update(content).digest("hex").slice(0, 10);
+
+// Write a JSON file under a content-hashed name so it can be cached forever
+const writeHashed = (outputDir, baseName, data) => {
+  const content = JSON.stringify(data);
+  const fileName = `${baseName}.${contentHash(content)}.json`;
+  fs.writeFileSync(path.join(outputDir, fileName), content, "utf8");
+  return { fileName, size: Buffer.byteLength(content) };
+};
+
+const groupPostingsByShard = (postings) => {
+  const shards = {};
+  Object.keys(postings)
+    .sort()
+    .forEach((term) => {
+      const key = SearchCore.shardKeyFor(term);
+      if (!shards[key]) {
+        shards[key] = {};
+      }
+      shards[key][term] = postings[term];
+    });
+  return shards;
+};
+
+// The default language's index.json sits at the root and every other
+// language's in a top-level directory named after it
+const findLanguageDirs = (publicDir) => {
+  const languageDirs = fs
+    .readdirSync(publicDir, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        entry.name !== OUTPUT_DIR &&
+        fs.existsSync(path.join(publicDir, entry.name, "index.json"))
+    )
+    .map((entry) => path.join(publicDir, entry.name))
+    .sort();
+
+  return fs.existsSync(path.join(publicDir, "index.json"))
+    ? [publicDir, ...languageDirs]
+    : languageDirs;
+};
+
+const buildSearchIndex = ({ publicDir = "public" } = {}) => {
+  const sourcePath = path.join(publicDir, "index.json");
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(
+      `${sourcePath} not found. Run hugo first and make sure the home page outputs JSON.`
+    );
+  }
+
+  const documents = JSON.parse(fs.readFileSync(sourcePath, "utf8"));
+  if (!Array.isArray(documents)) {
+    throw new Error(`${sourcePath} is not a search index (expected an array).`);
+  }
+  const index = SearchCore.indexDocuments(documents);
+
+  const outputDir = path.join(publicDir, OUTPUT_DIR);
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const docsFile = writeHashed(outputDir, "docs", index.docs);
+  let totalSize = docsFile.size;
+
+  const shards = {};
+  const groups = groupPostingsByShard(index.postings);
+  Object.keys(groups).forEach((key) => {
+    const shardFile = writeHashed(outputDir, `terms-${key}`, groups[key]);
+    shards[key] = shardFile.fileName;
+    totalSize += shardFile.size;
+  });
+
+  const manifest = {
+    version: contentHash(JSON.stringify({ docs: docsFile.fileName, shards })),
+    generated: new Date().toISOString(),
+    docCount: index.docCount,
+    avgLength: index.avgLength,
+    docs: docsFile.fileName,
+    shards,
+  };
+  fs.writeFileSync(
+    path.join(outputDir, "manifest.json"),
+    JSON.stringify(manifest),
+    "utf8"
+  );
+
+  return {
+    dir: publicDir,
+    manifest,
+    termCount: Object.keys(index.postings).length,
+    sourceSize: fs.statSync(sourcePath).size,
+    totalSize,
+  };
+};
+
+const buildSearchIndexes = ({ publicDir = "public" } = {}) => {
+  if (!fs.existsSync(publicDir)) {
+    throw new Error(`${publicDir} not found. Run hugo first.`);
+  }
+
+  const languageDirs = findLanguageDirs(publicDir);
+  if (languageDirs.length === 0) {
+    throw new Error(
+      `No index.json found in ${publicDir}. Make sure the home page outputs JSON.`
+    );
+  }
+
+  return languageDirs.map((dir) => buildSearchIndex({ publicDir: dir }));
+};
+
+if (require.main === module) {
+  const publicDir = process.argv[2] || "public";
+  try {
+    buildSearchIndexes({ publicDir }).forEach((result) => {
+      console.log(
+        `Search index (${path.relative(publicDir, result.dir) || "/"}): ` +
+          `${result.manifest.docCount} documents, ${result.termCount} terms, ` +
+          `${Object.keys(result.manifest.shards).length} shards ` +
+          `(${(result.totalSize / 1024).toFixed(1)} KB from ${(result.sourceSize / 1024).toFixed(1)} KB index.json)`
+      );
+    });
+  } catch (error) {
+    console.error(`Failed to build search index: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildSearchIndex, buildSearchIndexes };
@@ -0,0 +1,137 @@
+const fs = require("fs");
+
+// Summarises search analytics collected from params.search.analytics.endpoint:
+// the most popular queries, the queries that found nothing and how often
+// (and how far down) readers clicked a result.
+//
+// The input holds one beacon body per line, as posted by
+// assets/js/modules/searchAnalytics.js ({"events": [...]}); a JSON array of
+// events also works.
+//
+// Usage: node scripts/searchAnalyticsReport.js <events-file> [--top N] [--json]
+
+const DEFAULT_TOP = 20;
+
+// Case and spacing differences are the same query
+const queryKey = (query) => String(query || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+const readEvents = (content) => {
+  const trimmed = content.trim();
+  if (trimmed.startsWith("[")) {
+    return JSON.parse(trimmed);
+  }
+
+  const events = [];
+  trimmed.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      const batch = JSON.parse(line);
+      events.push(...(Array.isArray(batch.events) ? batch.events : [batch]));
+    } catch (error) {
+      console.warn(`Skipping line ${index + 1}: ${error.message}`);
+    }
+  });
+  return events;
+};
+
+const summarizeSearchEvents = (events, { top = DEFAULT_TOP } = {}) => {
+  const queries = new Map();
+  const entryFor = (query) => {
+    const key = queryKey(query);
+    if (!queries.has(key)) {
+      queries.set(key, { query: key, searches: 0, zeroResults: 0, clicks: 0, positionTotal: 0 });
+    }
+    return queries.get(key);
+  };
+
+  let searches = 0;
+  let clicks = 0;
+  events.forEach((event) => {
+    if (!event || !queryKey(event.query)) return;
+    const entry = entryFor(event.query);
+
+    if (event.type === "search") {
+      searches++;
+      entry.searches++;
+      if (Number(event.results) === 0) {
+        entry.zeroResults++;
+      }
+    } else if (event.type === "click") {
+      clicks++;
+      entry.clicks++;
+      entry.positionTotal += Number(event.position) || 0;
+    }
+  });
+
+  const rows = Array.from(queries.values()).map((entry) => ({
+    query: entry.query,
+    searches: entry.searches,
+    zeroResults: entry.zeroResults,
+    clicks: entry.clicks,
+    clickRate: entry.searches > 0 ? Math.min(entry.clicks / entry.searches, 1) : 0,
+    averagePosition: entry.clicks > 0 ? entry.positionTotal / entry.clicks : null
+  }));
+  const bySearches = (a, b) => b.searches - a.searches || a.query.localeCompare(b.query);
+
+  return {
+    searches,
+    clicks,
+    uniqueQueries: rows.filter((row) => row.searches > 0).length,
+    zeroResultSearches: rows.reduce((total, row) => total + row.zeroResults, 0),
+    popular: rows.filter((row) => row.searches > 0).sort(bySearches).slice(0, top),
+    zeroResults: rows
+      .filter((row) => row.zeroResults > 0)
+      .sort((a, b) => b.zeroResults - a.zeroResults || a.query.localeCompare(b.query))
+      .slice(0, top)
+  };
+};
+
+const formatReport = (summary) => {
+  const percent = (value) => `${(value * 100).toFixed(0)}%`;
+  const lines = [
+    `${summary.searches} searches, ${summary.uniqueQueries} distinct queries, ` +
+      `${summary.zeroResultSearches} with no results, ${summary.clicks} result clicks`,
+    "",
+    "Popular queries:"
+  ];
+
+  summary.popular.forEach((row) => {
+    const position = row.averagePosition === null ? "-" : row.averagePosition.toFixed(1);
+    lines.push(
+      `  ${String(row.searches).padStart(5)}  ${row.query}  ` +
+        `(clicked ${percent(row.clickRate)}, avg. position ${position})`
+    );
+  });
+
+  lines.push("", "Queries with no results:");
+  if (summary.zeroResults.length === 0) {
+    lines.push("  none");
+  }
+  summary.zeroResults.forEach((row) => {
+    lines.push(`  ${String(row.zeroResults).padStart(5)}  ${row.query}`);
+  });
+
+  return lines.join("\n");
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const topIndex = args.indexOf("--top");
+  const top = topIndex !== -1 ? parseInt(args[topIndex + 1], 10) || DEFAULT_TOP : DEFAULT_TOP;
+  const input = args.find((arg, index) => !arg.startsWith("--") && (topIndex === -1 || index !== topIndex + 1));
+
+  if (!input) {
+    console.error("Usage: node scripts/searchAnalyticsReport.js <events-file> [--top N] [--json]");
+    process.exit(1);
+  }
+
+  try {
+    const summary = summarizeSearchEvents(readEvents(fs.readFileSync(input, "utf8")), { top });
+    console.log(args.includes("--json") ? JSON.stringify(summary, null, 2) : formatReport(summary));
+  } catch (error) {
+    console.error(`Failed to build search analytics report: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { readEvents, summarizeSearchEvents, formatReport };
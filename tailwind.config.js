@@ -10,6 +10,8 @@ module.exports = {
     './data/**/*.{json,yaml,yml,toml}',
     './i18n/**/*.{json,yaml,yml,toml}'
   ],
+  // dark: variants follow the `dark` class set by layouts/partials/head/color-scheme.html
+  darkMode: 'class',
   // Enhanced purging configuration for production builds
   safelist: [
     // Always keep these classes regardless of detection
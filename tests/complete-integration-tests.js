@@ -118,7 +118,7 @@ class IntegrationTester {
             }
 
             // Check render hooks exist
-            const renderHooksPath = path.join(layoutsPath, '_render-hooks');
+            const renderHooksPath = path.join(layoutsPath, '_markup');
             if (!fs.existsSync(path.join(renderHooksPath, 'render-codeblock-mermaid.html'))) {
                 throw new Error('Mermaid render hook not found');
             }
@@ -117,6 +117,14 @@ class TestRunner {
       const AnalyticsConfigurationTests = require('./analytics-configuration-tests');
       const tester = new AnalyticsConfigurationTests();
       this.results.analytics = await tester.runAllTests();
+
+      const TCStringUnitTests = require('./tcf-string-unit-tests');
+      const tcStringTester = new TCStringUnitTests();
+      this.results.analytics = await tcStringTester.runAllTests() && this.results.analytics;
+
+      const ConsentPolicyUnitTests = require('./consent-policy-unit-tests');
+      const consentPolicyTester = new ConsentPolicyUnitTests();
+      this.results.analytics = await consentPolicyTester.runAllTests() && this.results.analytics;
       console.log('  ✅ Analytics configuration tests completed');
     } catch (error) {
       console.error('  ❌ Analytics configuration tests failed:', error.message);
@@ -132,6 +140,22 @@ class TestRunner {
       const SearchUnitTests = require('./search-unit-tests');
       const tester = new SearchUnitTests();
       this.results.search = await tester.runAllTests();
+      
+      const SearchIndexUnitTests = require('./search-index-unit-tests');
+      const indexTester = new SearchIndexUnitTests();
+      this.results.search = await indexTester.runAllTests() && this.results.search;
+
+      const SearchFacetsUnitTests = require('./search-facets-unit-tests');
+      const facetsTester = new SearchFacetsUnitTests();
+      this.results.search = await facetsTester.runAllTests() && this.results.search;
+
+      const SearchAnalyticsUnitTests = require('./search-analytics-unit-tests');
+      const analyticsTester = new SearchAnalyticsUnitTests();
+      this.results.search = await analyticsTester.runAllTests() && this.results.search;
+
+      const ThemeScriptsUnitTests = require('./theme-scripts-unit-tests');
+      const themeScriptsTester = new ThemeScriptsUnitTests();
+      this.results.search = await themeScriptsTester.runAllTests() && this.results.search;
       console.log('  ✅ Search functionality tests completed');
     } catch (error) {
       console.error('  ❌ Search functionality tests failed:', error.message);
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Search Analytics Unit Tests
+ * Tests the report built from collected search analytics events
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { readEvents, summarizeSearchEvents, formatReport } = require('../scripts/searchAnalyticsReport.js');
+
+// Events as posted by assets/js/modules/searchAnalytics.js
+const FIXTURE_EVENTS = [
+  { type: 'search', query: 'Hugo', results: 12, source: 'page' },
+  { type: 'search', query: 'hugo ', results: 12, source: 'palette' },
+  { type: 'click', query: 'hugo', position: 1, url: '/posts/hugo/', source: 'page' },
+  { type: 'click', query: 'hugo', position: 3, url: '/posts/themes/', source: 'palette' },
+  { type: 'search', query: 'tailwind', results: 4, source: 'quick' },
+  { type: 'search', query: 'kubernets', results: 0, source: 'page' },
+  { type: 'search', query: 'Kubernets', results: 0, source: 'page' },
+  { type: 'search', query: 'graphql', results: 0, source: 'quick' }
+];
+
+class SearchAnalyticsUnitTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Search Analytics Unit Tests...\n');
+
+    try {
+      this.testReading();
+      this.testSummary();
+      await this.generateReport();
+
+      const failed = this.testResults.filter(test => !test.passed).length;
+      if (failed > 0) {
+        throw new Error(`${failed} search analytics test(s) failed`);
+      }
+
+      console.log('✅ All search analytics unit tests completed successfully!');
+      return true;
+    } catch (error) {
+      console.error('❌ Search analytics unit tests failed:', error.message);
+      return false;
+    }
+  }
+
+  testReading() {
+    console.log('📥 Testing event input...');
+
+    const beacons = [
+      JSON.stringify({ events: FIXTURE_EVENTS.slice(0, 4) }),
+      '',
+      JSON.stringify({ events: FIXTURE_EVENTS.slice(4) })
+    ].join('\n');
+    const fromBeacons = readEvents(beacons);
+    this.addTestResult(
+      'Read Beacon Batches',
+      fromBeacons.length === FIXTURE_EVENTS.length && fromBeacons[4].query === 'tailwind',
+      `Read ${fromBeacons.length} events from one batch per line`
+    );
+
+    const fromArray = readEvents(JSON.stringify(FIXTURE_EVENTS));
+    this.addTestResult(
+      'Read Event Array',
+      fromArray.length === FIXTURE_EVENTS.length,
+      `Read ${fromArray.length} events from a JSON array`
+    );
+
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    const withBadLine = readEvents(`${JSON.stringify({ events: FIXTURE_EVENTS.slice(0, 2) })}\n{not json`);
+    console.warn = originalWarn;
+    this.addTestResult(
+      'Skip Malformed Lines',
+      withBadLine.length === 2,
+      `Read ${withBadLine.length} events, malformed line skipped`
+    );
+  }
+
+  testSummary() {
+    console.log('📊 Testing summary...');
+
+    const summary = summarizeSearchEvents(FIXTURE_EVENTS);
+    this.addTestResult(
+      'Totals',
+      summary.searches === 6 && summary.clicks === 2 && summary.uniqueQueries === 4 && summary.zeroResultSearches === 3,
+      `Searches: ${summary.searches}, clicks: ${summary.clicks}, distinct: ${summary.uniqueQueries}, zero results: ${summary.zeroResultSearches}`
+    );
+
+    const hugo = summary.popular.find(row => row.query === 'hugo');
+    this.addTestResult(
+      'Popular Queries Merge Case And Spacing',
+      summary.popular[0].query === 'hugo' && hugo.searches === 2 && summary.popular.map(row => row.query).join(',') === 'hugo,kubernets,graphql,tailwind',
+      `Popular: ${summary.popular.map(row => `${row.query} (${row.searches})`).join(', ')}`
+    );
+
+    this.addTestResult(
+      'Click Rate And Position',
+      hugo.clickRate === 1 && hugo.averagePosition === 2 && summary.popular.find(row => row.query === 'tailwind').averagePosition === null,
+      `hugo: clicked ${hugo.clickRate}, average position ${hugo.averagePosition}`
+    );
+
+    this.addTestResult(
+      'Zero-Result Queries',
+      summary.zeroResults.map(row => `${row.query}:${row.zeroResults}`).join(',') === 'kubernets:2,graphql:1',
+      `Zero results: ${summary.zeroResults.map(row => `${row.query} (${row.zeroResults})`).join(', ')}`
+    );
+
+    const limited = summarizeSearchEvents(FIXTURE_EVENTS, { top: 1 });
+    const text = formatReport(summary);
+    this.addTestResult(
+      'Top Limit And Text Report',
+      limited.popular.length === 1 && limited.zeroResults.length === 1 &&
+        text.includes('6 searches') && text.includes('Queries with no results:') && text.includes('kubernets'),
+      `Limited to ${limited.popular.length} popular query, text report has ${text.split('\n').length} lines`
+    );
+  }
+
+  addTestResult(testName, passed, details) {
+    this.testResults.push({
+      name: testName,
+      passed: passed,
+      details: details,
+      timestamp: new Date().toISOString()
+    });
+
+    const status = passed ? '✅' : '❌';
+    console.log(`  ${status} ${testName}: ${details}`);
+  }
+
+  async generateReport() {
+    console.log('\n📊 Generating test report...');
+
+    const totalTests = this.testResults.length;
+    const passedTests = this.testResults.filter(test => test.passed).length;
+    const failedTests = totalTests - passedTests;
+    const successRate = ((passedTests / totalTests) * 100).toFixed(2);
+
+    const report = {
+      summary: {
+        total: totalTests,
+        passed: passedTests,
+        failed: failedTests,
+        successRate: `${successRate}%`,
+        timestamp: new Date().toISOString()
+      },
+      details: this.testResults
+    };
+
+    const reportPath = path.join(__dirname, 'reports', 'search-analytics-unit-tests.json');
+    const reportsDir = path.dirname(reportPath);
+    if (!fs.existsSync(reportsDir)) {
+      fs.mkdirSync(reportsDir, { recursive: true });
+    }
+
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    console.log(`\n📋 Test Report Summary:`);
+    console.log(`   Total Tests: ${totalTests}`);
+    console.log(`   Passed: ${passedTests}`);
+    console.log(`   Failed: ${failedTests}`);
+    console.log(`   Success Rate: ${successRate}%`);
+    console.log(`   Report saved to: ${reportPath}`);
+
+    return report;
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tests = new SearchAnalyticsUnitTests();
+  tests.runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = SearchAnalyticsUnitTests;
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Search Facets Unit Tests
+ * Tests filtering, facet counts, sorting and URL state of the search page
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SearchFacets = require('../assets/js/modules/searchFacets.js');
+
+// Search results in relevance order, shaped like the search index documents
+const FIXTURE_RESULTS = [
+  { title: 'Hugo on Kubernetes', date: '2024-03-01', categories: ['DevOps'], tags: ['hugo', 'kubernetes'], author: 'Ada', readTime: 12 },
+  { title: 'Tailwind tips', date: '2025-01-15', categories: ['Design'], tags: ['css'], author: 'Grace', readTime: 4 },
+  { title: 'Hugo shortcodes', date: '2023-07-20', categories: ['DevOps', 'Hugo'], tags: ['hugo'], author: 'Ada', readTime: 7 },
+  { title: 'Theme colors', date: '2025-06-02', categories: ['Design'], tags: ['css', 'hugo'], author: { name: 'Linus' }, readTime: 3 }
+];
+
+class SearchFacetsUnitTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Search Facets Unit Tests...\n');
+
+    try {
+      this.testUrlState();
+      this.testFiltering();
+      this.testFacetCounts();
+      this.testSorting();
+      await this.generateReport();
+
+      const failed = this.testResults.filter(test => !test.passed).length;
+      if (failed > 0) {
+        throw new Error(`${failed} search facet test(s) failed`);
+      }
+
+      console.log('✅ All search facet unit tests completed successfully!');
+      return true;
+    } catch (error) {
+      console.error('❌ Search facet unit tests failed:', error.message);
+      return false;
+    }
+  }
+
+  testUrlState() {
+    console.log('🔗 Testing URL state...');
+
+    const state = SearchFacets.parseState('?q=hugo+themes&tag=css&tag=hugo&year=2025&readMin=3&readMax=x&sort=newest');
+    this.addTestResult(
+      'Parse Query String',
+      state.q === 'hugo themes' && state.tag.join(',') === 'css,hugo' && state.year[0] === '2025' &&
+        state.readMin === 3 && state.readMax === null && state.sort === 'newest' && state.category.length === 0,
+      `State: ${JSON.stringify(state)}`
+    );
+
+    const serialized = SearchFacets.serializeState(state);
+    this.addTestResult(
+      'Serialize Round Trip',
+      JSON.stringify(SearchFacets.parseState(serialized)) === JSON.stringify(state),
+      `Query string: ${serialized}`
+    );
+
+    const defaults = SearchFacets.serializeState(SearchFacets.createState({ q: 'css' }));
+    const invalidSort = SearchFacets.parseState('?q=css&sort=random').sort;
+    this.addTestResult(
+      'Defaults Left Out Of URL',
+      defaults === 'q=css' && invalidSort === 'relevance',
+      `Default state: ${defaults}, invalid sort parsed as: ${invalidSort}`
+    );
+  }
+
+  testFiltering() {
+    console.log('🔎 Testing filters...');
+
+    const orWithinFacet = SearchFacets.filterResults(FIXTURE_RESULTS, SearchFacets.createState({ tag: ['css', 'kubernetes'] }));
+    this.addTestResult(
+      'Values Within A Facet Are Alternatives',
+      orWithinFacet.map(doc => doc.title).join('|') === 'Hugo on Kubernetes|Tailwind tips|Theme colors',
+      `Matches: ${orWithinFacet.map(doc => doc.title).join(', ')}`
+    );
+
+    const andAcrossFacets = SearchFacets.filterResults(
+      FIXTURE_RESULTS,
+      SearchFacets.createState({ tag: ['hugo'], author: ['Ada'], readMax: 10 })
+    );
+    this.addTestResult(
+      'Facets And Reading Time Combine',
+      andAcrossFacets.length === 1 && andAcrossFacets[0].title === 'Hugo shortcodes',
+      `Matches: ${andAcrossFacets.map(doc => doc.title).join(', ')}`
+    );
+
+    this.addTestResult(
+      'Facet Values From Documents',
+      SearchFacets.facetValues(FIXTURE_RESULTS[3], 'author')[0] === 'Linus' &&
+        SearchFacets.facetValues(FIXTURE_RESULTS[0], 'year')[0] === '2024' &&
+        SearchFacets.facetValues({ date: '' }, 'year').length === 0,
+      `Author: ${SearchFacets.facetValues(FIXTURE_RESULTS[3], 'author')}, year: ${SearchFacets.facetValues(FIXTURE_RESULTS[0], 'year')}`
+    );
+  }
+
+  testFacetCounts() {
+    console.log('🔢 Testing facet counts...');
+
+    const state = SearchFacets.createState({ category: ['Design'], tag: ['kubernetes'] });
+    const counts = SearchFacets.countFacets(FIXTURE_RESULTS, state);
+    const categories = counts.category.map(item => `${item.value}:${item.count}`).join(',');
+    const tags = counts.tag.map(item => `${item.value}:${item.count}`).join(',');
+
+    // Category counts ignore the category selection, tag counts the tag selection
+    this.addTestResult(
+      'Counts Exclude Own Facet Selection',
+      categories === 'DevOps:1,Design:0' && tags === 'css:2,hugo:1,kubernetes:0',
+      `Categories: ${categories}; tags: ${tags}`
+    );
+
+    const years = SearchFacets.countFacets(FIXTURE_RESULTS, SearchFacets.createState()).year.map(item => item.value);
+    this.addTestResult(
+      'Years Listed Newest First',
+      years.join(',') === '2025,2024,2023',
+      `Years: ${years.join(', ')}`
+    );
+
+    const bounds = SearchFacets.readTimeBounds(FIXTURE_RESULTS);
+    this.addTestResult(
+      'Reading Time Bounds',
+      bounds.min === 3 && bounds.max === 12 && SearchFacets.readTimeBounds([]) === null,
+      `Bounds: ${JSON.stringify(bounds)}`
+    );
+  }
+
+  testSorting() {
+    console.log('↕️  Testing sort modes...');
+
+    const titles = sort => SearchFacets.sortResults(FIXTURE_RESULTS, sort).map(doc => doc.title).join('|');
+    this.addTestResult(
+      'Relevance Keeps Ranking',
+      titles('relevance') === FIXTURE_RESULTS.map(doc => doc.title).join('|'),
+      `Relevance: ${titles('relevance')}`
+    );
+
+    this.addTestResult(
+      'Date Sorts',
+      titles('newest') === 'Theme colors|Tailwind tips|Hugo on Kubernetes|Hugo shortcodes' &&
+        titles('oldest') === 'Hugo shortcodes|Hugo on Kubernetes|Tailwind tips|Theme colors',
+      `Newest: ${titles('newest')}`
+    );
+
+    const applied = SearchFacets.applyState(FIXTURE_RESULTS, SearchFacets.createState({ category: ['Design'], sort: 'oldest' }));
+    this.addTestResult(
+      'Apply Filters Then Sort',
+      applied.map(doc => doc.title).join('|') === 'Tailwind tips|Theme colors',
+      `Applied: ${applied.map(doc => doc.title).join(', ')}`
+    );
+  }
+
+  addTestResult(testName, passed, details) {
+    this.testResults.push({
+      name: testName,
+      passed: passed,
+      details: details,
+      timestamp: new Date().toISOString()
+    });
+
+    const status = passed ? '✅' : '❌';
+    console.log(`  ${status} ${testName}: ${details}`);
+  }
+
+  async generateReport() {
+    console.log('\n📊 Generating test report...');
+
+    const totalTests = this.testResults.length;
+    const passedTests = this.testResults.filter(test => test.passed).length;
+    const failedTests = totalTests - passedTests;
+    const successRate = ((passedTests / totalTests) * 100).toFixed(2);
+
+    const report = {
+      summary: {
+        total: totalTests,
+        passed: passedTests,
+        failed: failedTests,
+        successRate: `${successRate}%`,
+        timestamp: new Date().toISOString()
+      },
+      details: this.testResults
+    };
+
+    const reportPath = path.join(__dirname, 'reports', 'search-facets-unit-tests.json');
+    const reportsDir = path.dirname(reportPath);
+    if (!fs.existsSync(reportsDir)) {
+      fs.mkdirSync(reportsDir, { recursive: true });
+    }
+
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    console.log(`\n📋 Test Report Summary:`);
+    console.log(`   Total Tests: ${totalTests}`);
+    console.log(`   Passed: ${passedTests}`);
+    console.log(`   Failed: ${failedTests}`);
+    console.log(`   Success Rate: ${successRate}%`);
+    console.log(`   Report saved to: ${reportPath}`);
+
+    return report;
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tests = new SearchFacetsUnitTests();
+  tests.runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = SearchFacetsUnitTests;
@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+
+/**
+ * Search Index Unit Tests
+ * Tests the shared search core and the sharded index build step
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SearchCore = require('../assets/js/modules/searchCore.js');
+const { buildSearchIndex, buildSearchIndexes } = require('../scripts/buildSearchIndex.js');
+
+const FIXTURE_DOCUMENTS = [
+  {
+    title: 'Deploying Hugo to Kubernetes',
+    content: 'A walkthrough of deploying a static site to a Kubernetes cluster with Helm.',
+    summary: 'Deploy Hugo on Kubernetes',
+    permalink: 'https://example.com/blog/hugo-kubernetes/',
+    tags: ['kubernetes', 'deployment'],
+    categories: ['DevOps']
+  },
+  {
+    title: 'Tailwind CSS Best Practices',
+    content: 'Utility classes, design tokens and component extraction. Kubernetes is not mentioned much.',
+    summary: 'Tailwind tips',
+    permalink: 'https://example.com/blog/tailwind/',
+    tags: ['css'],
+    categories: ['Design']
+  },
+  {
+    title: 'Café culture',
+    content: 'Notes on coffee and design.',
+    summary: 'Coffee',
+    permalink: 'https://example.com/blog/cafe/',
+    tags: [],
+    categories: ['Life']
+  }
+];
+
+const CHINESE_FIXTURE_DOCUMENTS = [
+  {
+    title: '使用 Hugo 建立搜尋引擎',
+    content: '本文介紹如何為靜態網站建立全文搜尋，並部署到雲端。',
+    summary: '靜態網站搜尋',
+    permalink: 'https://example.com/zh/blog/search/',
+    tags: ['搜尋'],
+    categories: ['教學']
+  },
+  {
+    title: '主题设计指南',
+    content: '介绍颜色、字体与排版的设计原则。',
+    summary: '设计指南',
+    permalink: 'https://example.com/zh/blog/design/',
+    tags: ['设计'],
+    categories: ['设计']
+  }
+];
+
+class SearchIndexUnitTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Search Index Unit Tests...\n');
+
+    try {
+      this.testTokenization();
+      this.testIndexing();
+      this.testRanking();
+      this.testTermExpansion();
+      this.testChineseTokenization();
+      this.testHighlighting();
+      this.testBuildStep();
+      await this.generateReport();
+
+      const failed = this.testResults.filter(test => !test.passed).length;
+      if (failed > 0) {
+        throw new Error(`${failed} search index test(s) failed`);
+      }
+
+      console.log('✅ All search index unit tests completed successfully!');
+      return true;
+    } catch (error) {
+      console.error('❌ Search index unit tests failed:', error.message);
+      return false;
+    }
+  }
+
+  testTokenization() {
+    console.log('🔤 Testing tokenization...');
+
+    const tokens = SearchCore.tokenize('The Café and the Deployment, 2024!');
+    this.addTestResult(
+      'Tokenizer Normalization',
+      JSON.stringify(tokens) === JSON.stringify(['cafe', 'deployment', '2024']),
+      `Tokens: ${tokens.join(', ')}`
+    );
+
+    this.addTestResult(
+      'Shard Key Assignment',
+      SearchCore.shardKeyFor('kubernetes') === 'k' && SearchCore.shardKeyFor('2024') === '2' &&
+        /^_[0-9a-f]$/.test(SearchCore.shardKeyFor('ñandu')),
+      `kubernetes → ${SearchCore.shardKeyFor('kubernetes')}, ñandu → ${SearchCore.shardKeyFor('ñandu')}`
+    );
+  }
+
+  testIndexing() {
+    console.log('📇 Testing inverted index construction...');
+
+    const index = SearchCore.indexDocuments(FIXTURE_DOCUMENTS);
+    const postings = index.postings.kubernetes || [];
+
+    this.addTestResult(
+      'Postings With Term Frequencies',
+      postings.length === 4 && postings[0] === 0 && postings[2] === 1 && postings[1] > postings[3],
+      `kubernetes postings: ${JSON.stringify(postings)}`
+    );
+
+    this.addTestResult(
+      'Document Store Excludes Content',
+      index.docs.every(doc => !('content' in doc) && doc.length > 0 && doc.permalink),
+      `Docs: ${index.docs.length}, average length: ${index.avgLength.toFixed(2)}`
+    );
+  }
+
+  testRanking() {
+    console.log('📈 Testing BM25 ranking...');
+
+    const index = SearchCore.indexDocuments(FIXTURE_DOCUMENTS);
+    const ranked = SearchCore.scoreDocuments(
+      [{ postings: index.postings.kubernetes }],
+      index.docs,
+      index
+    );
+
+    this.addTestResult(
+      'BM25 Prefers Title And Tag Matches',
+      ranked.length === 2 && ranked[0].docId === 0 && ranked[0].score > ranked[1].score,
+      `Ranking: ${ranked.map(r => `${r.docId}:${r.score.toFixed(3)}`).join(', ')}`
+    );
+
+    const boosted = SearchCore.scoreDocuments(
+      [{ postings: index.postings.design, boost: 0.5 }],
+      index.docs,
+      index
+    );
+    const unboosted = SearchCore.scoreDocuments(
+      [{ postings: index.postings.design }],
+      index.docs,
+      index
+    );
+
+    this.addTestResult(
+      'Term Boost Scales Score',
+      Math.abs(boosted[0].score * 2 - unboosted[0].score) < 1e-9,
+      `Boosted: ${boosted[0].score.toFixed(3)}, unboosted: ${unboosted[0].score.toFixed(3)}`
+    );
+  }
+
+  testTermExpansion() {
+    console.log('🔡 Testing typo tolerance and prefix completion...');
+
+    const distances = [
+      SearchCore.editDistance('kubernets', 'kubernetes', 2),
+      SearchCore.editDistance('hguo', 'hugo', 2),
+      SearchCore.editDistance('deploy', 'tailwind', 2)
+    ];
+    this.addTestResult(
+      'Bounded Edit Distance',
+      distances[0] === 1 && distances[1] === 1 && distances[2] === 3,
+      `Distances: ${distances.join(', ')}`
+    );
+
+    const vocabulary = ['kubernetes', 'kubectl', 'deploy', 'deployment', 'deployments', 'design'];
+    const typo = SearchCore.expandTerm('kubernets', vocabulary);
+    this.addTestResult(
+      'Typo Expands To Indexed Term',
+      typo.length === 1 && typo[0].term === 'kubernetes' && typo[0].boost < 1,
+      `kubernets → ${JSON.stringify(typo)}`
+    );
+
+    const prefix = SearchCore.expandTerm('deploym', vocabulary);
+    this.addTestResult(
+      'Prefix Completion',
+      prefix.map(e => e.term).join(',') === 'deployment,deployments,deploy',
+      `deploym → ${prefix.map(e => `${e.term}:${e.boost.toFixed(2)}`).join(', ')}`
+    );
+
+    const strict = SearchCore.expandTerm('deploym', vocabulary, { fuzzy: false, prefixSearch: false });
+    const shortTerm = SearchCore.expandTerm('css', ['cs', 'csv', 'cssx'], { prefixSearch: false });
+    this.addTestResult(
+      'Tolerance Configuration Respected',
+      strict.length === 0 && shortTerm.length === 0,
+      `Strict matches: ${strict.length}, short term fuzzy matches: ${shortTerm.length}`
+    );
+
+    const index = SearchCore.indexDocuments(FIXTURE_DOCUMENTS);
+    const expansions = SearchCore.expandTerm('deploym', Object.keys(index.postings))
+      .map(({ term, boost }) => ({ term, boost, group: 'deploym', postings: index.postings[term] }));
+    const ranked = SearchCore.scoreDocuments(expansions, index.docs, index);
+    this.addTestResult(
+      'Best Expansion Counted Once Per Document',
+      ranked.length === 1 && ranked[0].docId === 0 && ranked[0].terms.length === 1,
+      `Ranking: ${JSON.stringify(ranked)}`
+    );
+  }
+
+  testChineseTokenization() {
+    console.log('🀄 Testing Chinese tokenization...');
+
+    const tokens = SearchCore.tokenize('搜索引擎 Hugo');
+    this.addTestResult(
+      'Han Text Split Into Bigrams',
+      JSON.stringify(tokens) === JSON.stringify(['搜索', '索引', '引擎', 'hugo']),
+      `Tokens: ${tokens.join(', ')}`
+    );
+
+    const traditional = SearchCore.tokenize('資料庫與部署');
+    const simplified = SearchCore.tokenize('资料库与部署');
+    this.addTestResult(
+      'Traditional And Simplified Share Terms',
+      JSON.stringify(traditional) === JSON.stringify(simplified) && SearchCore.hanSpellings('发').includes('髮'),
+      `資料庫與部署 → ${traditional.join(', ')}`
+    );
+
+    const index = SearchCore.indexDocuments(CHINESE_FIXTURE_DOCUMENTS);
+    const search = query => SearchCore.scoreDocuments(
+      SearchCore.tokenize(query).map(term => ({ term, postings: index.postings[term] })),
+      index.docs,
+      index
+    );
+    const traditionalQuery = search('設計');
+    const simplifiedQuery = search('搜寻引擎');
+    this.addTestResult(
+      'Chinese Queries Match Across Variants',
+      traditionalQuery.length === 1 && traditionalQuery[0].docId === 1 &&
+        simplifiedQuery.length === 1 && simplifiedQuery[0].docId === 0,
+      `設計 → ${JSON.stringify(traditionalQuery.map(r => r.docId))}, 搜寻引擎 → ${JSON.stringify(simplifiedQuery.map(r => r.docId))}`
+    );
+
+    const single = SearchCore.expandTerm(SearchCore.tokenize('雲')[0], Object.keys(index.postings));
+    this.addTestResult(
+      'Single Character Completes To Bigrams',
+      single.length === 1 && single[0].term === '云端',
+      `雲 → ${single.map(e => e.term).join(', ')}`
+    );
+  }
+
+  testHighlighting() {
+    console.log('🖍️  Testing result highlighting...');
+
+    const highlights = SearchCore.highlightResult(
+      { title: 'Deploying Hugo & Tailwind', summary: '<b>Deploy</b> 資料庫', matchedTerms: ['deploying', '资料'] },
+      'deploy amp'
+    );
+    this.addTestResult(
+      'Highlights Query Words And Matched Terms',
+      highlights.title === '<mark class="bg-yellow-200 dark:bg-yellow-800 px-1 rounded">Deploying</mark> Hugo &amp; Tailwind' &&
+        highlights.summary.startsWith('&lt;b&gt;<mark') && highlights.summary.includes('>資料</mark>庫'),
+      `Title: ${highlights.title}; summary: ${highlights.summary}`
+    );
+
+    this.addTestResult(
+      'Highlighting Escapes Plain Text',
+      SearchCore.highlight('<script>', []) === '&lt;script&gt;' && SearchCore.highlight('', ['x']) === '',
+      `Escaped: ${SearchCore.highlight('<script>', [])}`
+    );
+  }
+
+  testBuildStep() {
+    console.log('🏗️  Testing index build step...');
+
+    const publicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-'));
+
+    try {
+      fs.writeFileSync(path.join(publicDir, 'index.json'), JSON.stringify(FIXTURE_DOCUMENTS));
+      const { manifest } = buildSearchIndex({ publicDir });
+      const outputDir = path.join(publicDir, 'search-index');
+
+      const writtenManifest = JSON.parse(fs.readFileSync(path.join(outputDir, 'manifest.json'), 'utf8'));
+      this.addTestResult(
+        'Manifest Written',
+        writtenManifest.docCount === 3 && writtenManifest.version === manifest.version,
+        `Version: ${writtenManifest.version}, shards: ${Object.keys(writtenManifest.shards).join(', ')}`
+      );
+
+      const shardFile = manifest.shards.k;
+      const shard = JSON.parse(fs.readFileSync(path.join(outputDir, shardFile), 'utf8'));
+      this.addTestResult(
+        'Terms Sharded By First Character',
+        /^terms-k\.[0-9a-f]{10}\.json$/.test(shardFile) &&
+          Object.keys(shard).every(term => term.startsWith('k')),
+        `Shard k (${shardFile}): ${Object.keys(shard).join(', ')}`
+      );
+
+      const docs = JSON.parse(fs.readFileSync(path.join(outputDir, manifest.docs), 'utf8'));
+      this.addTestResult(
+        'Document Store Written',
+        docs.length === 3 && docs[2].title === 'Café culture',
+        `Docs file: ${manifest.docs}`
+      );
+
+      const rebuilt = buildSearchIndex({ publicDir });
+      this.addTestResult(
+        'Build Is Deterministic',
+        rebuilt.manifest.version === manifest.version &&
+          fs.readdirSync(outputDir).length === Object.keys(manifest.shards).length + 2,
+        `Rebuilt version: ${rebuilt.manifest.version}`
+      );
+    } finally {
+      fs.rmSync(publicDir, { recursive: true, force: true });
+    }
+
+    const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-site-'));
+
+    try {
+      fs.mkdirSync(path.join(siteDir, 'zh'));
+      fs.mkdirSync(path.join(siteDir, 'images'));
+      fs.writeFileSync(path.join(siteDir, 'index.json'), JSON.stringify(FIXTURE_DOCUMENTS));
+      fs.writeFileSync(path.join(siteDir, 'zh', 'index.json'), JSON.stringify(CHINESE_FIXTURE_DOCUMENTS));
+      const results = buildSearchIndexes({ publicDir: siteDir });
+      const zhManifest = JSON.parse(fs.readFileSync(path.join(siteDir, 'zh', 'search-index', 'manifest.json'), 'utf8'));
+      this.addTestResult(
+        'Index Built Per Language',
+        results.length === 2 && results[0].manifest.docCount === 3 && zhManifest.docCount === 2 &&
+          !fs.existsSync(path.join(siteDir, 'images', 'search-index')),
+        `Indexes: ${results.map(r => `${path.relative(siteDir, r.dir) || '/'} (${r.manifest.docCount})`).join(', ')}`
+      );
+    } finally {
+      fs.rmSync(siteDir, { recursive: true, force: true });
+    }
+
+    let missingSourceError = null;
+    try {
+      buildSearchIndex({ publicDir: path.join(os.tmpdir(), 'search-index-missing') });
+    } catch (error) {
+      missingSourceError = error;
+    }
+    this.addTestResult(
+      'Missing index.json Reported',
+      missingSourceError !== null && missingSourceError.message.includes('index.json'),
+      missingSourceError ? missingSourceError.message : 'No error thrown'
+    );
+  }
+
+  addTestResult(testName, passed, details) {
+    this.testResults.push({
+      name: testName,
+      passed: passed,
+      details: details,
+      timestamp: new Date().toISOString()
+    });
+
+    const status = passed ? '✅' : '❌';
+    console.log(`  ${status} ${testName}: ${details}`);
+  }
+
+  async generateReport() {
+    console.log('\n📊 Generating test report...');
+
+    const totalTests = this.testResults.length;
+    const passedTests = this.testResults.filter(test => test.passed).length;
+    const failedTests = totalTests - passedTests;
+    const successRate = ((passedTests / totalTests) * 100).toFixed(2);
+
+    const report = {
+      summary: {
+        total: totalTests,
+        passed: passedTests,
+        failed: failedTests,
+        successRate: `${successRate}%`,
+        timestamp: new Date().toISOString()
+      },
+      details: this.testResults
+    };
+
+    const reportPath = path.join(__dirname, 'reports', 'search-index-unit-tests.json');
+    const reportsDir = path.dirname(reportPath);
+    if (!fs.existsSync(reportsDir)) {
+      fs.mkdirSync(reportsDir, { recursive: true });
+    }
+
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    console.log(`\n📋 Test Report Summary:`);
+    console.log(`   Total Tests: ${totalTests}`);
+    console.log(`   Passed: ${passedTests}`);
+    console.log(`   Failed: ${failedTests}`);
+    console.log(`   Success Rate: ${successRate}%`);
+    console.log(`   Report saved to: ${reportPath}`);
+
+    return report;
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tests = new SearchIndexUnitTests();
+  tests.runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = SearchIndexUnitTests;
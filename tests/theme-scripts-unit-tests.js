@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Theme Scripts Unit Tests
+ * Tests that assets/js/main.js is bundled and linked, that every initializer
+ * runs once on DOM ready, and that search loads on demand
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MAIN = path.join(ROOT, 'assets', 'js', 'main.js');
+
+function read(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// The body of the block that starts with `start`, up to its closing line
+// at the same indentation
+function block(source, start) {
+  const from = source.indexOf(start);
+  if (from === -1) return '';
+  const indent = start.match(/^\s*/)[0];
+  const to = source.indexOf(`\n${indent}}`, from);
+  return to === -1 ? '' : source.slice(from + start.length, to);
+}
+
+class ThemeScriptsUnitTests {
+  constructor() {
+    this.testResults = [];
+    this.main = fs.readFileSync(MAIN, 'utf8');
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Theme Scripts Unit Tests...\n');
+
+    try {
+      this.testBundle();
+      this.testInitialization();
+      this.testLazySearch();
+      await this.generateReport();
+
+      const failed = this.testResults.filter(test => !test.passed).length;
+      if (failed > 0) {
+        throw new Error(`${failed} theme script test(s) failed`);
+      }
+
+      console.log('✅ All theme script unit tests completed successfully!');
+      return true;
+    } catch (error) {
+      console.error('❌ Theme script unit tests failed:', error.message);
+      return false;
+    }
+  }
+
+  testBundle() {
+    console.log('📦 Testing the main bundle...');
+
+    const assets = read('layouts/partials/helpers/theme-assets.html');
+    const baseof = read('layouts/_default/baseof.html');
+    this.addTestResult(
+      'Main Bundle Built And Linked',
+      /resources\.Get "js\/main\.js"/.test(assets) && /"targetPath" "js\/main\.js"/.test(assets) &&
+        /\(partialCached "helpers\/theme-assets\.html" \.\)\.main/.test(baseof),
+      'helpers/theme-assets.html -> _default/baseof.html'
+    );
+
+    const imports = [...this.main.matchAll(/^import .* from '(\.[^']+)';$/gm)].map(match => match[1]);
+    const missing = imports.filter(file => !fs.existsSync(path.join(path.dirname(MAIN), file)));
+    this.addTestResult(
+      'Imports Resolve',
+      imports.length > 0 && missing.length === 0,
+      missing.length ? `Missing: ${missing.join(', ')}` : `${imports.length} modules`
+    );
+
+    // Left out on purpose, see theme-assets.html
+    const leftOut = imports.filter(file => /accessibility|error-handling/.test(file));
+    this.addTestResult(
+      'Standalone Scripts Not Bundled',
+      leftOut.length === 0,
+      leftOut.length ? `Imported: ${leftOut.join(', ')}` : 'accessibility.js, error-handling.js'
+    );
+  }
+
+  testInitialization() {
+    console.log('⚙️  Testing initialization...');
+
+    const readyCalls = this.main.match(/^\s*ready\(/gm) || [];
+    this.addTestResult(
+      'One DOM Ready Block',
+      readyCalls.length === 1,
+      `ready() calls: ${readyCalls.length}`
+    );
+
+    const body = block(this.main, '  ready(() => {');
+    const calls = [...body.matchAll(/^\s*(init\w*|initialize\w*|optimize\w*)\(\);$/gm)].map(match => match[1]);
+    const twice = calls.filter((name, index) => calls.indexOf(name) !== index);
+    this.addTestResult(
+      'Each Initializer Runs Once',
+      calls.length > 0 && twice.length === 0,
+      twice.length ? `Called twice: ${twice.join(', ')}` : `${calls.length} initializers`
+    );
+
+    const undefinedCalls = calls.filter(name => !new RegExp(`function ${name}\\(`).test(this.main));
+    this.addTestResult(
+      'Initializers Defined',
+      undefinedCalls.length === 0,
+      undefinedCalls.length ? `Not defined: ${undefinedCalls.join(', ')}` : 'All defined'
+    );
+  }
+
+  testLazySearch() {
+    console.log('🔍 Testing on-demand search loading...');
+
+    const client = read('assets/js/modules/searchClient.js');
+    const constructor = block(client, '  constructor(');
+    const load = block(client, '  load() {');
+    const search = block(client, '  search(');
+    this.addTestResult(
+      'Worker Starts On First Use',
+      constructor !== '' && !/startWorker\(/.test(constructor) &&
+        /this\.startWorker\(\)/.test(load) && /this\.startWorker\(\)/.test(search),
+      'Not in the constructor; in load() and search()'
+    );
+
+    const initSearch = block(this.main, '  function initSearch() {');
+    this.addTestResult(
+      'Index Loads On Focus',
+      /addEventListener\('focus', loadSearchIndex, \{ once: true \}\)/.test(initSearch) &&
+        !/^\s*loadSearchIndex\(\);$/m.test(initSearch),
+      'Not on page load'
+    );
+  }
+
+  addTestResult(testName, passed, details) {
+    this.testResults.push({
+      name: testName,
+      passed: passed,
+      details: details,
+      timestamp: new Date().toISOString()
+    });
+
+    const status = passed ? '✅' : '❌';
+    console.log(`  ${status} ${testName}: ${details}`);
+  }
+
+  async generateReport() {
+    console.log('\n📊 Generating test report...');
+
+    const totalTests = this.testResults.length;
+    const passedTests = this.testResults.filter(test => test.passed).length;
+    const failedTests = totalTests - passedTests;
+    const successRate = ((passedTests / totalTests) * 100).toFixed(2);
+
+    const report = {
+      summary: {
+        total: totalTests,
+        passed: passedTests,
+        failed: failedTests,
+        successRate: `${successRate}%`,
+        timestamp: new Date().toISOString()
+      },
+      details: this.testResults
+    };
+
+    const reportPath = path.join(__dirname, 'reports', 'theme-scripts-unit-tests.json');
+    const reportsDir = path.dirname(reportPath);
+    if (!fs.existsSync(reportsDir)) {
+      fs.mkdirSync(reportsDir, { recursive: true });
+    }
+
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    console.log(`\n📋 Test Report Summary:`);
+    console.log(`   Total Tests: ${totalTests}`);
+    console.log(`   Passed: ${passedTests}`);
+    console.log(`   Failed: ${failedTests}`);
+    console.log(`   Success Rate: ${successRate}%`);
+    console.log(`   Report saved to: ${reportPath}`);
+
+    return report;
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tests = new ThemeScriptsUnitTests();
+  tests.runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = ThemeScriptsUnitTests;
@@ -201,7 +201,7 @@ class TestValidator {
             }
 
             // Check for render hooks and shortcodes
-            const renderHookPath = path.join(layoutsPath, '_render-hooks', 'render-codeblock-mermaid.html');
+            const renderHookPath = path.join(layoutsPath, '_markup', 'render-codeblock-mermaid.html');
             if (!fs.existsSync(renderHookPath)) {
                 throw new Error('Mermaid render hook not found');
             }